@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * TFSA Penalty Calculator CLI
+ *
+ * Runs the same engine as the web page against a CSV in the template layout
+ * (tfsa_template.csv, or its French version) and prints the monthly penalty breakdown.
+ *
+ * Usage: node cli.js <file.csv> --year 2025 --start-room 6000 [--json]
+ *
+ * Exit codes: 0 no excess, 1 excess found, 2 bad input.
+ */
+const fs = require('fs');
+const { calculatePenalty } = require('./engine');
+const { TEMPLATE_COLUMNS, TEMPLATE_PRESET, TEMPLATE_PRESET_FR, readCsv, detectPreset, mapCsvRows } = require('./csv');
+
+const USAGE = 'Usage: node cli.js <file.csv> --year <year> --start-room <amount> [--json]';
+
+function parseArgs(argv) {
+    const args = { file: null, year: null, startRoom: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--year') {
+            args.year = parseInt(argv[++i]);
+        } else if (arg === '--start-room') {
+            args.startRoom = parseFloat(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (!args.file) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(2);
+}
+
+function formatAmount(value) {
+    return value.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function printTable(year, result) {
+    const rows = result.monthlyDetails.map(m => [
+        `${m.month} ${year}`,
+        formatAmount(m.maxExcess),
+        formatAmount(m.penalty),
+        formatAmount(m.nonResidentTax),
+        m.isAffected ? 'PENALTY' : 'OK'
+    ]);
+    const header = ['Month', 'Max Excess', 'Penalty', 'Non-Res. Tax', 'Status'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cols => cols.map((c, i) => i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join('  ');
+
+    console.log(line(header));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(r => console.log(line(r)));
+    console.log('');
+    console.log(`Total penalty:          $${formatAmount(result.totalPenalty)}`);
+    console.log(`Non-resident tax:       $${formatAmount(result.totalNonResidentTax)}`);
+    console.log(`Peak excess:            $${formatAmount(result.peakExcess)}`);
+    console.log(`Room for ${year + 1}:          $${formatAmount(result.nextYearLimit)}`);
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        fail(`${e.message}\n${USAGE}`);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!args.file || !Number.isFinite(args.year) || !Number.isFinite(args.startRoom)) {
+        fail(USAGE);
+    }
+
+    let text;
+    try {
+        text = fs.readFileSync(args.file, 'utf8');
+    } catch (e) {
+        fail(`Cannot read ${args.file}: ${e.message}`);
+    }
+
+    const csv = readCsv(text);
+    if (!csv) fail('No valid transactions found in CSV. Check format.');
+    const preset = detectPreset(csv.header, [TEMPLATE_PRESET, TEMPLATE_PRESET_FR]);
+    if (!preset) {
+        fail(`Unrecognised columns: ${csv.header.join(', ')} (expected ${TEMPLATE_COLUMNS.map(key => TEMPLATE_PRESET.columns[key]).join(', ')})`);
+    }
+
+    const mapped = mapCsvRows(csv, preset);
+    mapped.filter(r => r.error).forEach(r => console.error(`Row ${r.line}: ${r.error}`));
+    const txs = mapped
+        .filter(r => r.tx)
+        .map((r, i) => ({ id: i + 1, ...r.tx }));
+
+    const result = calculatePenalty(args.year, args.startRoom, txs);
+
+    if (args.json) {
+        console.log(JSON.stringify({ year: args.year, startRoom: args.startRoom, ...result }, null, 2));
+    } else {
+        printTable(args.year, result);
+    }
+
+    // Any excess during the year, in any month's peak or still held on Dec 31
+    const hasExcess = result.peakExcess > 0 || result.currentExcess > 0 ||
+        result.monthlyDetails.some(m => m.maxExcess > 0);
+    process.exitCode = hasExcess ? 1 : 0;
+}
+
+main();
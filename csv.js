@@ -0,0 +1,291 @@
+/**
+ * TFSA Penalty Calculator CSV Parsing
+ *
+ * Reads transaction CSVs (the template layout or mapped bank exports) without
+ * touching the DOM. Loads as browser globals or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (engine) {
+    'use strict';
+
+    // Columns an import can map. Type text comes from the type column, or the
+    // description column when the export has no separate type.
+    const CSV_FIELDS = [
+        { key: 'date', label: 'Date', required: true },
+        { key: 'type', label: 'Type' },
+        { key: 'amount', label: 'Amount', required: true },
+        { key: 'description', label: 'Description' },
+        { key: 'account', label: 'Account / Institution' },
+        { key: 'toAccount', label: 'To Account (transfers)' },
+        { key: 'note', label: 'Note' },
+        { key: 'deathDate', label: "Holder's Date of Death" },
+        { key: 'designationDate', label: 'RC240 Designation Date' }
+    ];
+
+    // Columns of tfsa_template.csv, in order. The ledger export adds the
+    // preset's other columns after these.
+    const TEMPLATE_COLUMNS = ['date', 'type', 'amount', 'account', 'toAccount'];
+
+    // Layout of tfsa_template.csv and the ledger export; also used for files without a header row
+    const TEMPLATE_PRESET = {
+        name: 'TFSA Template',
+        signature: ['date', 'type', 'amount', 'institution'],
+        columns: {
+            date: 'Date', type: 'Type', amount: 'Amount', account: 'Institution', toAccount: 'To Institution',
+            description: 'Description', note: 'Note', deathDate: 'Date of Death', designationDate: 'Designation Date'
+        },
+        typeMap: {},
+        defaultInstitution: 'Imported'
+    };
+
+    // French layout (modele_celi.csv), with "Cotisation" and "Retrait" as types
+    const TEMPLATE_PRESET_FR = {
+        name: 'Modèle CELI',
+        signature: ['date', 'type', 'montant', 'institution'],
+        columns: {
+            date: 'Date', type: 'Type', amount: 'Montant', account: 'Institution', toAccount: 'Institution destinataire',
+            description: 'Description', note: 'Note', deathDate: 'Date du décès', designationDate: 'Date de désignation'
+        },
+        typeMap: {},
+        defaultInstitution: 'Imported'
+    };
+
+    /**
+     * Reads CSV text into { header, rows, firstLine }, or null when it has no rows.
+     * Files without a header row are read in template order.
+     */
+    function readCsv(text) {
+        const rows = parseCsvRows(text);
+        if (rows.length === 0) return null;
+
+        const hasHeader = rows[0].join(',').toLowerCase().includes('date');
+        const header = hasHeader
+            ? rows[0]
+            : rows[0].map((_, i) => Object.values(TEMPLATE_PRESET.columns)[i] || `Column ${i + 1}`);
+
+        return {
+            header: header,
+            rows: hasHeader ? rows.slice(1) : rows,
+            firstLine: hasHeader ? 2 : 1
+        };
+    }
+
+    // Splits CSV text into rows of cells, dropping blank lines. Quoted cells
+    // may hold commas, line breaks and doubled quotes ("" for "), as toCsv
+    // writes them, and keep their spaces; unquoted cells are trimmed.
+    function parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        let wasQuoted = false;
+
+        const endCell = () => {
+            row.push(wasQuoted ? cell : cell.trim());
+            cell = '';
+            wasQuoted = false;
+        };
+        const endRow = () => {
+            endCell();
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && !wasQuoted && cell.trim() === '') {
+                inQuotes = true;
+                wasQuoted = true;
+                cell = '';
+            } else if (ch === ',') {
+                endCell();
+            } else if (ch === '\n') {
+                endRow();
+            } else if (ch !== '\r' && !(wasQuoted && /\s/.test(ch))) {
+                cell += ch;
+            }
+        }
+        endRow();
+        return rows;
+    }
+
+    function normalizeHeader(name) {
+        return name.trim().toLowerCase();
+    }
+
+    // Handle "YYYY-MM-DD" AND "2 Jan 2025"; returns null when unreadable or,
+    // like 2024-02-31, not a day on the calendar
+    function parseCsvDate(raw) {
+        const isoRegex = /^\d{4}-\d{2}-\d{2}$/;
+        if (isoRegex.test(raw)) return engine.isCalendarDate(raw) ? raw : null;
+
+        const parsedDate = new Date(raw);
+        if (isNaN(parsedDate.getTime())) return null;
+        // Convert to YYYY-MM-DD for consistency
+        return parsedDate.toISOString().split('T')[0];
+    }
+
+    // Handle "7,371.84", "$7,371.84", "(500.00)" and French "7 371,84 $";
+    // returns a signed number or NaN
+    function parseCsvAmount(raw) {
+        const text = (raw || '').trim();
+        const hasDecimalComma = !text.includes('.') && /,\d{1,2}\s*\$?\)?$/.test(text);
+        const cleaned = (hasDecimalComma ? text.replace(/,(\d{1,2}\s*\$?\)?)$/, '.$1') : text).replace(/[$,\s]/g, '');
+        const isNegative = /^\(.*\)$/.test(cleaned) || cleaned.startsWith('-');
+        const value = parseFloat(cleaned.replace(/[()\-]/g, ''));
+        return isNegative ? -value : value;
+    }
+
+    function guessTxType(text) {
+        if (text.includes('withdraw') || text.includes('retrait')) return 'WITHDRAWAL';
+        if (text.includes('exempt')) return 'EXEMPT_CONTRIBUTION';
+        if (text.includes('transfer')) return 'TRANSFER';
+        return 'CONTRIBUTION';
+    }
+
+    /**
+     * Turns data rows into import drafts using a preset's column mapping.
+     *
+     * Type text is looked up in the preset's typeMap (values mapped to 'IGNORE'
+     * are skipped). A preset without a typeMap falls back to keyword guessing,
+     * and rows with no type text at all are typed by the amount's sign.
+     * Returns one entry per row: { line, ignored } or { line, draft, tx, error }.
+     */
+    function mapCsvRows(csv, preset) {
+        const index = {};
+        CSV_FIELDS.forEach(f => {
+            const name = preset.columns[f.key];
+            index[f.key] = name ? csv.header.findIndex(h => normalizeHeader(h) === normalizeHeader(name)) : -1;
+        });
+        const cell = (cols, key) => index[key] >= 0 ? (cols[index[key]] || '') : '';
+        const hasTypeMap = Object.keys(preset.typeMap).length > 0;
+
+        return csv.rows.map((cols, i) => {
+            const line = csv.firstLine + i;
+            const amountRaw = cell(cols, 'amount');
+            const typeText = (cell(cols, 'type') || cell(cols, 'description')).trim().toLowerCase();
+
+            // Normalize Type ('' when it can't be determined; the draft then fails validation)
+            let type = '';
+            if (!typeText) {
+                type = parseCsvAmount(amountRaw) < 0 ? 'WITHDRAWAL' : 'CONTRIBUTION';
+            } else if (typeText in preset.typeMap) {
+                type = preset.typeMap[typeText];
+            } else if (!hasTypeMap) {
+                type = guessTxType(typeText);
+            }
+            if (type === 'IGNORE') {
+                return { line, ignored: true };
+            }
+
+            const draft = {
+                date: cell(cols, 'date'),
+                type: type,
+                typeText: typeText,
+                amount: amountRaw,
+                institution: cell(cols, 'account') || preset.defaultInstitution || 'Imported',
+                toInstitution: cell(cols, 'toAccount'),
+                description: cell(cols, 'description'),
+                note: cell(cols, 'note'),
+                deathDate: cell(cols, 'deathDate'),
+                designationDate: cell(cols, 'designationDate')
+            };
+            const checked = cols.length < 3 ? { error: 'Invalid format' } : checkImportDraft(draft);
+            return { line, draft, tx: checked.tx || null, error: checked.error || null };
+        });
+    }
+
+    // Validates an import draft (raw cell text); returns { tx } or { error }
+    function checkImportDraft(draft) {
+        if (!engine.TRANSACTION_TYPES.includes(draft.type)) {
+            return { error: `Unmapped type: ${draft.typeText}` };
+        }
+        if (draft.type === 'TRANSFER' && (!draft.institution || !draft.toInstitution)) {
+            return { error: 'Transfer needs both institutions' };
+        }
+
+        const amount = Math.abs(parseCsvAmount(draft.amount));
+        if (isNaN(amount) || amount <= 0) {
+            return { error: `Invalid amount: ${draft.amount}` };
+        }
+
+        const date = parseCsvDate(draft.date);
+        if (!date) {
+            return { error: `Invalid date: ${draft.date}` };
+        }
+
+        const tx = {
+            id: Date.now() + Math.random(),
+            date,
+            type: draft.type,
+            amount,
+            institution: draft.institution || 'Imported'
+        };
+        if (draft.type === 'TRANSFER') tx.toInstitution = draft.toInstitution;
+        if (draft.description) tx.description = draft.description;
+        if (draft.note) tx.note = draft.note;
+        // Survivor rollover dates, as the ledger export writes them
+        if (draft.type === 'EXEMPT_CONTRIBUTION') {
+            for (const field of ['deathDate', 'designationDate']) {
+                if (!draft[field]) continue;
+                const value = parseCsvDate(draft[field]);
+                if (!value) return { error: `Invalid date: ${draft[field]}` };
+                tx[field] = value;
+            }
+        }
+        return { tx };
+    }
+
+    // Same date, amount and institution as a transaction already in the list
+    function isDuplicateTransaction(tx, existing) {
+        return existing.some(t => t.date === tx.date && t.amount === tx.amount && t.institution === tx.institution);
+    }
+
+    function csvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(rows) {
+        return rows.map(row => row.map(csvCell).join(',')).join('\n');
+    }
+
+    // A preset matches when every header in its signature appears in the file
+    function detectPreset(header, presets) {
+        const normalized = header.map(normalizeHeader);
+        return presets.find(p => p.signature.every(h => normalized.includes(h))) || null;
+    }
+
+    return {
+        CSV_FIELDS,
+        TEMPLATE_COLUMNS,
+        TEMPLATE_PRESET,
+        TEMPLATE_PRESET_FR,
+        readCsv,
+        parseCsvRows,
+        normalizeHeader,
+        parseCsvDate,
+        parseCsvAmount,
+        guessTxType,
+        mapCsvRows,
+        checkImportDraft,
+        isDuplicateTransaction,
+        detectPreset,
+        csvCell,
+        toCsv
+    };
+});
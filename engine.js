@@ -0,0 +1,736 @@
+/**
+ * TFSA Penalty Calculator Engine
+ *
+ * Calculation code with no DOM access. In the browser it defines the globals
+ * script.js uses; in Node it loads as a CommonJS module (see cli.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    'use strict';
+
+    // --- Constants & Types ---
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const TRANSACTION_TYPES = ['CONTRIBUTION', 'WITHDRAWAL', 'TRANSFER', 'EXEMPT_CONTRIBUTION'];
+    // Step between occurrences of a recurring schedule
+    const SCHEDULE_FREQUENCIES = {
+        WEEKLY: { days: 7 },
+        BIWEEKLY: { days: 14 },
+        MONTHLY: { months: 1 },
+        QUARTERLY: { months: 3 },
+        ANNUALLY: { months: 12 }
+    };
+    // Institution key for excess already standing on Jan 1
+    const CARRIED_EXCESS = 'Carried forward';
+
+    // --- Core Engine ---
+
+    /**
+     * Calculates daily balances and monthly penalties
+     * 
+     * Rules:
+     * 1. Excess = max(0, Contributions - Room - Withdrawals (careful))
+     *    Actually, simpler logic: 
+     *    Room Tracking:
+     *      - Starts at R0
+     *      - Contribution: Room -= Amount
+     *      - Withdrawal: Room += Amount (BUT correction only available next year)
+     *    
+     *    Wait, CRA logic is specifically:
+     *    Excess at time t = Contributions(t) - Withdrawals(t) - (StartingRoom + RoomCreatedThisYear)
+     *    BUT Withdrawals do NOT create room in the current year.
+     *    
+     *    So, Effective Excess Logic:
+     *    Let unused_room_available = Starting Room
+     *    Running Excess = 0
+     *    
+     *    On Contribution: 
+     *       unused_room_available -= amount
+     *       if unused_room_available < 0, Excess = abs(unused_room_available)
+     *       
+     *    On Withdrawal:
+     *       Effective Excess is reduced. 
+     *       But unused_room_available does NOT increase for the purpose of absorbing future contributions in same year.
+     *       
+     *    This is tricky. Let's stick to the PRD Formula:
+     *    E_t = max(0, C_t - R_0) 
+     *    E_t_new = max(0, E_t_old - withdrawal_amount)
+     *    
+     *    Wait, the PRD formula "E_t = max(0, C_t - R_0)" assumes W_t is 0? 
+     *    No, let's use the Ledger approach which is robust.
+     *    
+     *    Ledger State:
+     *    - cumulative_contributions
+     *    - cumulative_withdrawals_that_reduced_excess
+     *    - diff = (cumulative_contributions - start_room)
+     *    - excess = max(0, diff - cumulative_withdrawals) 
+     *      ^ No, standard formula is: 
+     *      Excess Amount = (Total Contributions) - (Cheque-less Withdrawals) - (TFSA Room)
+     *      
+     *      Actually, the "Withdrawal Rule":
+     *      Withdrawals reduce the *taxable excess* immediately.
+     *      They add to Contribution Room *next year*.
+     *      
+     *      Algorithm:
+     *      1. Sort all tx by date.
+     *      2. Iterate day by day (Jan 1 to Dec 31).
+     *      3. On a day, process all transactions.
+     *         - Contrib: Room Used += Amt
+     *         - Withdraw: Room Used -= Amt (Wait! Only if currently in excess?)
+     *         
+     *      Let's look at CRA Example:
+     *      Room $10k. Contrib $15k. Excess $5k.
+     *      Withdraw $2k. Excess becomes $3k immediately.
+     *      Contrib $2k. Excess becomes $5k.
+     *      
+     *      So, simply:
+     *      Current Balance = (Start Room) - (Contributions) + (Withdrawals)
+     *      If Balance < 0, then Excess = abs(Balance).
+     *      
+     *      WAIT. Correct Rule: 
+     *      Withdrawals add to room NEXT year.
+     *      In current year, they effectively "un-contribute" for the sake of penalty calculation.
+     *      
+     *      So yes: 
+     *      Net_Position = Start_Room - Cumulative_Contributions + Cumulative_Withdrawals
+     *      If Net_Position < 0: Excess = abs(Net_Position)
+     *      Else: Excess = 0
+     *      
+     *      Is this always true?
+     *      "Qualifying withdrawals" reduce the excess amount.
+     *      Yes.
+     *      
+     *      So the logic is simply tracking the "TFSA Balance relative to Room".
+     *      
+     *      Let's execute:
+     *      Walk the dates where something happens (Jan 1, transactions,
+     *      residency resuming), apply txs, and record max excess per month.
+     *      Amounts are kept in integer cents so imported values add up exactly.
+     */
+    const ANNUAL_LIMITS = {
+        2009: 5000,
+        2010: 5000,
+        2011: 5000,
+        2012: 5000,
+        2013: 5500,
+        2014: 5500,
+        2015: 10000,
+        2016: 5500,
+        2017: 5500,
+        2018: 5500,
+        2019: 6000,
+        2020: 6000,
+        2021: 6000,
+        2022: 6000,
+        2023: 6500,
+        2024: 7000,
+        2025: 7000,
+        2026: 7000
+    };
+
+    /**
+     * Year-over-year inflation adjustments applied to the $5,000 base limit
+     * ("TFSA dollar limit", s. 207.01(1)). The indexed amount compounds unrounded;
+     * only the resulting limit is rounded to the nearest $500. 2015's $10,000
+     * was legislated separately and doesn't affect the indexed amount.
+     */
+    const INDEXATION_RATES = {
+        2010: 0.006,
+        2011: 0.014,
+        2012: 0.028,
+        2013: 0.02,
+        2014: 0.009,
+        2015: 0.017,
+        2016: 0.013,
+        2017: 0.014,
+        2018: 0.015,
+        2019: 0.022,
+        2020: 0.019,
+        2021: 0.01,
+        2022: 0.024,
+        2023: 0.063,
+        2024: 0.047,
+        2025: 0.027,
+        2026: 0.02
+    };
+
+    // Inflation assumed for years without an announced limit
+    const DEFAULT_CPI_RATE = 0.02;
+
+    // Indexed amount before rounding; later years compound cpiRate per year
+    function indexedLimitAmount(year, cpiRate) {
+        let amount = 5000;
+        for (let y = 2010; y <= year; y++) {
+            amount *= 1 + (y in INDEXATION_RATES ? INDEXATION_RATES[y] : cpiRate);
+        }
+        return amount;
+    }
+
+    // True when no limit has been announced for the year yet
+    function isProjectedLimit(year) {
+        return parseInt(year) >= 2009 && !(parseInt(year) in ANNUAL_LIMITS);
+    }
+
+    /**
+     * The TFSA dollar limit for a year: the announced figure where there is
+     * one, otherwise the indexed amount projected at cpiRate (e.g. 0.02 for 2%)
+     * and rounded to the nearest $500. Years before 2009 have no limit.
+     */
+    function annualLimit(year, cpiRate = DEFAULT_CPI_RATE) {
+        const y = parseInt(year);
+        if (y < 2009) return 0;
+        if (y in ANNUAL_LIMITS) return ANNUAL_LIMITS[y];
+        return Math.round(indexedLimitAmount(y, cpiRate) / 500) * 500;
+    }
+
+    // Amounts are converted to integer cents on the way in and back on the way out
+    function toCents(amount) {
+        return Math.round(amount * 100);
+    }
+
+    function fromCents(cents) {
+        return cents / 100;
+    }
+
+    /**
+     * Balances only change on dates where something happens, so instead of
+     * stepping through all 365 days the year is walked from one event date to the
+     * next: Jan 1, every transaction date and every day residency resumes. A
+     * month's peak is the highest end-of-day balance in it, i.e. the balance
+     * carried into the month (unless the 1st has events of its own) or the
+     * balance after any of its event dates.
+     *
+     * Excess is also attributed to the institution whose deposit created it. A
+     * withdrawal clears its own institution's share first, then the oldest
+     * remaining shares. Each month reports the shares held at its peak.
+     *
+     * options.residencyPeriods: [{ emigrationDate, immigrationDate }] when the holder was non-resident
+     * options.openingNonResidentContributions: non-resident contributions still held on Jan 1
+     * options.cpiRate: inflation assumed for next year's limit if it isn't announced yet
+     */
+    function calculatePenalty(year, startRoom, txs, options = {}) {
+        const residencyPeriods = options.residencyPeriods || [];
+        const yearPrefix = String(year);
+        const startCents = toCents(startRoom);
+
+        // 1. Sort this year's transactions (stable, so same-day order is kept).
+        //    Dates that aren't days would index past the twelve months, so they're left out.
+        const sortedTxs = txs.filter(tx => tx.date.slice(0, 4) === yearPrefix && isCalendarDate(tx.date)).sort((a, b) => {
+            // Compare string dates directly (YYYY-MM-DD)
+            if (a.date < b.date) return -1;
+            if (a.date > b.date) return 1;
+            return 0;
+        });
+        let txIndex = 0;
+
+        // 2. Event dates. Residency resuming matters because it clears the
+        //    non-resident contributions; nothing else changes between transactions.
+        const eventDates = new Set([`${yearPrefix}-01-01`]);
+        sortedTxs.forEach(tx => eventDates.add(tx.date));
+        residencyPeriods.forEach(p => {
+            if (p.immigrationDate && p.immigrationDate.slice(0, 4) === yearPrefix && isCalendarDate(p.immigrationDate)) {
+                eventDates.add(p.immigrationDate);
+            }
+        });
+
+        // 3. Initialization (all in cents)
+        let excess = 0;
+        let unusedRoom = 0;
+        let totalWithdrawals = 0; // Track for next year
+        let totalContributions = 0;
+        let totalExemptContributions = 0;
+        let totalNonResidentContributions = 0;
+        let nonResidentBalance = toCents(options.openingNonResidentContributions || 0);
+
+        // Excess per institution, in insertion order (oldest first)
+        const excessShares = new Map();
+
+        // Handle Starting Condition
+        if (startCents < 0) {
+            excess = -startCents;
+            excessShares.set(CARRIED_EXCESS, excess);
+        } else {
+            unusedRoom = startCents;
+        }
+
+        const monthlyMaxExcess = new Array(12).fill(0);
+        const monthlyMaxNonResident = new Array(12).fill(0);
+        const monthlyPeakShares = MONTHS.map(() => ({}));
+        const monthlyFlags = MONTHS.map(() => []);
+        const timeline = [];
+
+        // Track High-Water Mark for the Month (and who holds it)
+        const recordPeak = monthIndex => {
+            if (excess > monthlyMaxExcess[monthIndex]) {
+                monthlyMaxExcess[monthIndex] = excess;
+                monthlyPeakShares[monthIndex] = Object.fromEntries([...excessShares].map(([k, v]) => [k, fromCents(v)]));
+            }
+            monthlyMaxNonResident[monthIndex] = Math.max(monthlyMaxNonResident[monthIndex], nonResidentBalance);
+        };
+        let nextCarryMonth = 0; // First month whose carried-in balance hasn't been recorded
+
+        // 4. Event Loop
+        [...eventDates].sort().forEach(dateStr => {
+            const monthIndex = parseInt(dateStr.slice(5, 7)) - 1;
+
+            // Months up to this one hold the carried balance until their first event
+            for (; nextCarryMonth <= monthIndex; nextCarryMonth++) {
+                if (nextCarryMonth < monthIndex || dateStr.slice(8) !== '01') {
+                    recordPeak(nextCarryMonth);
+                }
+            }
+
+            const isNonResident = isNonResidentOn(dateStr, residencyPeriods);
+
+            // Non-resident contributions stop being taxed once residency resumes
+            if (!isNonResident) {
+                nonResidentBalance = 0;
+            }
+
+            // Apply transactions for THIS day
+            while (txIndex < sortedTxs.length && sortedTxs[txIndex].date === dateStr) {
+                const tx = sortedTxs[txIndex];
+                const amount = toCents(tx.amount);
+
+                // Survivor rollovers only use room when made outside the rollover period
+                let isExempt = false;
+                if (tx.type === 'EXEMPT_CONTRIBUTION') {
+                    const check = checkExemptContribution(tx);
+                    check.issues.forEach(issue => monthlyFlags[monthIndex].push(`${tx.date}: ${issue}`));
+                    isExempt = check.isExempt;
+                }
+
+                if (isExempt) {
+                    totalExemptContributions += amount;
+                } else if (tx.type === 'CONTRIBUTION' || tx.type === 'EXEMPT_CONTRIBUTION') {
+                    totalContributions += amount;
+                    // Made while non-resident: taxed on the full amount, on top of any excess
+                    if (isNonResident) {
+                        totalNonResidentContributions += amount;
+                        nonResidentBalance += amount;
+                    }
+                    // Contrib: Consumes Room first, then creates Excess
+                    const fromRoom = Math.min(unusedRoom, amount);
+                    unusedRoom -= fromRoom;
+                    excess += amount - fromRoom;
+                    if (amount > fromRoom) {
+                        excessShares.set(tx.institution, (excessShares.get(tx.institution) || 0) + amount - fromRoom);
+                    }
+                } else if (tx.type === 'WITHDRAWAL') {
+                    totalWithdrawals += amount;
+                    nonResidentBalance = Math.max(0, nonResidentBalance - amount);
+                    // Withdraw: Reduces Excess immediately.
+                    // Important: Does NOT restore room in current year, and a
+                    // withdrawal larger than the excess doesn't create any.
+                    reduceExcessShares(excessShares, tx.institution, Math.min(excess, amount));
+                    excess = Math.max(0, excess - amount);
+                }
+                // TRANSFER: a direct institution-to-institution transfer is
+                // neither a contribution nor a withdrawal. It uses no room and
+                // adds none back next year, so it is deliberately skipped.
+                txIndex++;
+            }
+
+            recordPeak(monthIndex);
+
+            // End-of-day balances, one point per event date (for charts and the planner)
+            timeline.push({
+                date: dateStr,
+                excess: fromCents(excess),
+                unusedRoom: fromCents(unusedRoom),
+                nonResidentContributions: fromCents(nonResidentBalance)
+            });
+        });
+
+        // Months after the last event hold the final balance throughout
+        for (; nextCarryMonth < 12; nextCarryMonth++) {
+            recordPeak(nextCarryMonth);
+        }
+
+        // 5. Finalize Monthly Penalties
+        // 1% of an amount in cents is the same number in hundredths of a cent,
+        // so totals are summed as integers and converted once.
+        let totalPenaltyBasis = 0;
+        let totalNonResidentBasis = 0;
+        let affectedMonths = 0;
+
+        const monthlyDetails = monthlyMaxExcess.map((max, idx) => {
+            totalPenaltyBasis += max;
+            if (max > 0) affectedMonths++;
+
+            // Non-resident tax: 1% of the highest non-resident contributions held in the month
+            const maxNonResident = monthlyMaxNonResident[idx];
+            totalNonResidentBasis += maxNonResident;
+
+            return {
+                month: MONTHS[idx],
+                maxExcess: fromCents(max),
+                excessByInstitution: monthlyPeakShares[idx],
+                penalty: max / 10000, // 1% Rule
+                maxNonResident: fromCents(maxNonResident),
+                nonResidentTax: maxNonResident / 10000,
+                isAffected: max > 0,
+                flags: monthlyFlags[idx]
+            };
+        });
+
+        // 6. Calculate Next Year's Room (Refined Logic)
+        // Formula: Room_next = UnusedRoom_end_of_year + Withdrawals_current_year + NewAnnualLimit
+
+        // Unused Room at end of year = Starting Room - Total Contributions
+        // This value can be negative (representing excess that consumes next year's room)
+        const unusedRoomEndOfYear = startCents - totalContributions;
+
+        // New Annual Limit for next year (none accrues for a year spent entirely non-resident)
+        const nextLimit = isNonResidentAllYear(parseInt(year) + 1, residencyPeriods) ? 0 : toCents(annualLimit(parseInt(year) + 1, options.cpiRate));
+
+        // Final Calculation (withdrawals from the current year are added back next year)
+        const nextYearRoom = unusedRoomEndOfYear + totalWithdrawals + nextLimit;
+
+        // Current Year Remaining Room
+        // Withdrawals do NOT increase room for the CURRENT year.
+        const currentYearRemaining = Math.max(0, unusedRoomEndOfYear);
+
+        return {
+            totalPenalty: totalPenaltyBasis / 10000,
+            peakExcess: fromCents(Math.max(...monthlyMaxExcess)), // This is the yearly peak
+            currentExcess: fromCents(excess), // The valid ending excess
+            remainingRoom: fromCents(currentYearRemaining),
+            nextYearLimit: fromCents(nextYearRoom),
+            // Additional Details for UI
+            totalContributions: fromCents(totalContributions),
+            totalWithdrawals: fromCents(totalWithdrawals),
+            totalExemptContributions: fromCents(totalExemptContributions),
+            totalNonResidentContributions: fromCents(totalNonResidentContributions),
+            totalNonResidentTax: totalNonResidentBasis / 10000,
+            nonResidentContributionsEndOfYear: fromCents(nonResidentBalance),
+            unusedRoomEndOfYear: fromCents(unusedRoomEndOfYear),
+            nextAnnualLimit: fromCents(nextLimit),
+
+            affectedMonths: affectedMonths,
+            monthlyDetails: monthlyDetails,
+            timeline: timeline
+        };
+    }
+
+    // Takes amount (cents) off the withdrawing institution's share first, then the oldest
+    function reduceExcessShares(shares, institution, amount) {
+        const order = [institution, ...[...shares.keys()].filter(k => k !== institution)];
+        for (const key of order) {
+            if (amount <= 0) break;
+            const share = shares.get(key) || 0;
+            const used = Math.min(share, amount);
+            amount -= used;
+            if (share - used > 0) {
+                shares.set(key, share - used);
+            } else {
+                shares.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Contributions, withdrawals and net deposits per institution for one year.
+     * Transfers move money between institutions without using room, so they
+     * are left out. Returns rows sorted by institution name.
+     */
+    function summarizeByInstitution(txs, year) {
+        const totals = new Map();
+        txs.filter(tx => tx.date.slice(0, 4) === String(year) && tx.type !== 'TRANSFER').forEach(tx => {
+            const row = totals.get(tx.institution) || { contributions: 0, withdrawals: 0 };
+            if (tx.type === 'WITHDRAWAL') {
+                row.withdrawals += toCents(tx.amount);
+            } else {
+                row.contributions += toCents(tx.amount);
+            }
+            totals.set(tx.institution, row);
+        });
+
+        return [...totals].sort((a, b) => a[0].localeCompare(b[0])).map(([institution, row]) => ({
+            institution: institution,
+            contributions: fromCents(row.contributions),
+            withdrawals: fromCents(row.withdrawals),
+            net: fromCents(row.contributions - row.withdrawals)
+        }));
+    }
+
+    // Balances at the end of dateStr: the last timeline point on or before it,
+    // or null when the date falls outside the timeline's year
+    function balanceOn(timeline, dateStr) {
+        if (timeline.length === 0 || dateStr.slice(0, 4) !== timeline[0].date.slice(0, 4)) return null;
+        let point = null;
+        for (const p of timeline) {
+            if (p.date > dateStr) break;
+            point = p;
+        }
+        return point;
+    }
+
+    // Emigration starts a non-resident period; immigration (if any) ends it
+    function isNonResidentOn(dateStr, periods) {
+        return periods.some(p => p.emigrationDate <= dateStr && (!p.immigrationDate || dateStr < p.immigrationDate));
+    }
+
+    // Room still accrues for a year with any day of residency
+    function isNonResidentAllYear(year, periods) {
+        return periods.some(p => p.emigrationDate <= `${year}-01-01` && (!p.immigrationDate || p.immigrationDate > `${year}-12-31`));
+    }
+
+    // "YYYY-MM-DD" naming a day that exists (not 2024-02-31 or 2024-13-01)
+    function isCalendarDate(dateStr) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+        if (!match) return false;
+        const [y, m, d] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(y, m - 1, d));
+        return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+    }
+
+    function addDays(dateStr, days) {
+        const d = new Date(dateStr + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    // Keeps the day of month, moved back to the last day of shorter months
+    function addMonths(dateStr, months) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const index = m - 1 + months;
+        const year = y + Math.floor(index / 12);
+        const month = index % 12;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return `${year}-${String(month + 1).padStart(2, '0')}-${String(Math.min(d, lastDay)).padStart(2, '0')}`;
+    }
+
+    /**
+     * Transactions for a recurring schedule, from its start date up to its end
+     * date or untilDate, whichever comes first.
+     *
+     * schedule: { id, type, amount, institution, frequency, startDate, endDate }
+     * Each occurrence carries scheduleId so it can be shown with its schedule.
+     */
+    function expandSchedule(schedule, untilDate) {
+        const end = schedule.endDate && schedule.endDate < untilDate ? schedule.endDate : untilDate;
+        const step = SCHEDULE_FREQUENCIES[schedule.frequency];
+        const txs = [];
+
+        // Dates are counted from the start each time so month-end days don't drift
+        for (let n = 0; ; n++) {
+            const date = step.days ? addDays(schedule.startDate, n * step.days) : addMonths(schedule.startDate, n * step.months);
+            if (date > end) break;
+            txs.push({
+                id: `${schedule.id}-${n + 1}`,
+                date: date,
+                type: schedule.type,
+                amount: schedule.amount,
+                institution: schedule.institution,
+                scheduleId: schedule.id
+            });
+        }
+        return txs;
+    }
+
+    /**
+     * Checks a survivor rollover (exempt contribution) against its deadlines.
+     *
+     * The payment must be made between the holder's death and Dec 31 of the
+     * following year (the rollover period); outside it, the amount is an ordinary
+     * contribution. The designation on Form RC240 is due within 30 days of the
+     * contribution.
+     */
+    function checkExemptContribution(tx) {
+        // Imported rows may lack the date of death, so the rollover can't be verified
+        if (!tx.deathDate) {
+            return {
+                isExempt: false,
+                rolloverEnd: null,
+                designationDeadline: addDays(tx.date, 30),
+                issues: ["Holder's date of death missing; counted as a regular contribution"]
+            };
+        }
+
+        const rolloverEnd = `${parseInt(tx.deathDate.slice(0, 4)) + 1}-12-31`;
+        const designationDeadline = addDays(tx.date, 30);
+        const isExempt = tx.date >= tx.deathDate && tx.date <= rolloverEnd;
+        const issues = [];
+
+        if (!isExempt) {
+            issues.push(`Rollover outside the period ${tx.deathDate} to ${rolloverEnd}; counted as a regular contribution`);
+        }
+        if (!tx.designationDate) {
+            issues.push(`Not designated yet; file Form RC240 by ${designationDeadline}`);
+        } else if (tx.designationDate > designationDeadline) {
+            issues.push(`Designated on ${tx.designationDate}, after the ${designationDeadline} deadline`);
+        }
+
+        return {
+            isExempt: isExempt,
+            rolloverEnd: rolloverEnd,
+            designationDeadline: designationDeadline,
+            issues: issues
+        };
+    }
+
+    /**
+     * Chains calculatePenalty over consecutive years.
+     *
+     * Non-resident contributions still held on Dec 31 stay taxable into the next year.
+     * Each year's nextYearLimit (unused room + withdrawals + new limit) becomes the
+     * following year's starting room. A negative value means excess carried past
+     * Dec 31, which calculatePenalty treats as excess from Jan 1 onwards, so the
+     * 1% tax keeps accruing in January.
+     */
+    function calculateLedger(firstYear, openingRoom, txs, lastYear, options = {}) {
+        const years = [];
+        let room = openingRoom;
+        let nonResidentContributions = 0;
+        let cumulativePenalty = 0; // Hundredths of a cent, like the per-year totals
+        let cumulativeNonResidentTax = 0;
+
+        for (let y = parseInt(firstYear); y <= parseInt(lastYear); y++) {
+            const result = calculatePenalty(y, room, txs, {
+                ...options,
+                openingNonResidentContributions: nonResidentContributions
+            });
+            cumulativePenalty += Math.round(result.totalPenalty * 10000);
+            cumulativeNonResidentTax += Math.round(result.totalNonResidentTax * 10000);
+
+            years.push({
+                year: y,
+                startRoom: room,
+                cumulativePenalty: cumulativePenalty / 10000,
+                result: result
+            });
+
+            room = result.nextYearLimit;
+            nonResidentContributions = result.nonResidentContributionsEndOfYear;
+        }
+
+        return {
+            years: years,
+            totalPenalty: cumulativePenalty / 10000,
+            totalNonResidentTax: cumulativeNonResidentTax / 10000
+        };
+    }
+
+    /**
+     * Rebuilds contribution room for Jan 1 of targetYear from an eligibility profile.
+     *
+     * Room accrues each year from the year the holder turns 18 (never before 2009)
+     * while they are resident. Earlier years' transactions reduce it, and their
+     * withdrawals come back the following January. If the CRA figure for the
+     * previous year is known, the build starts from that figure instead.
+     *
+     * profile: { birthDate: 'YYYY-MM-DD', residentSince: number|null, craPriorRoom: number|null,
+     *            residencyPeriods: [{ emigrationDate, immigrationDate }] }
+     * options.cpiRate: inflation assumed for years whose limit isn't announced yet
+     */
+    function calculateRoomFromProfile(profile, targetYear, txs, options = {}) {
+        const target = parseInt(targetYear);
+        const adultYear = parseInt(profile.birthDate.slice(0, 4)) + 18;
+        const residentSince = profile.residentSince || 0;
+        const hasCraFigure = profile.craPriorRoom !== null && profile.craPriorRoom !== undefined;
+        const firstYear = hasCraFigure ? target - 1 : Math.min(2009, target);
+
+        const rows = [];
+        let carriedRoom = 0; // Unused room + withdrawals brought forward from the prior year
+
+        for (let y = firstYear; y <= target; y++) {
+            let limit = 0;
+            let note = '';
+            let room;
+
+            if (hasCraFigure && y === firstYear) {
+                note = 'CRA figure';
+                room = profile.craPriorRoom;
+            } else {
+                if (y < adultYear) {
+                    note = 'Under 18';
+                } else if (y < residentSince || isNonResidentAllYear(y, profile.residencyPeriods || [])) {
+                    note = 'Non-resident';
+                } else {
+                    limit = annualLimit(y, options.cpiRate);
+                }
+                room = carriedRoom + limit;
+            }
+
+            const row = { year: y, limit: limit, projected: limit > 0 && isProjectedLimit(y), note: note, room: room, netUsed: 0 };
+            rows.push(row);
+
+            if (y < target) {
+                const result = calculatePenalty(y, room, txs, { residencyPeriods: profile.residencyPeriods, cpiRate: options.cpiRate });
+                row.netUsed = result.totalContributions - result.totalWithdrawals;
+                carriedRoom = result.unusedRoomEndOfYear + result.totalWithdrawals;
+            }
+        }
+
+        return {
+            room: rows[rows.length - 1].room,
+            rows: rows
+        };
+    }
+
+    // Stretches of a timeline (one year's, or several joined) holding excess:
+    // [{ start, end, peak }], where end is the date the excess was cleared, or
+    // null if it is still held at the last point
+    function findExcessPeriods(timeline) {
+        const periods = [];
+        let current = null;
+        timeline.forEach(p => {
+            if (p.excess > 0 && !current) {
+                current = { start: p.date, end: null, peak: p.excess };
+                periods.push(current);
+            } else if (p.excess > 0) {
+                current.peak = Math.max(current.peak, p.excess);
+            } else if (current) {
+                current.end = p.date;
+                current = null;
+            }
+        });
+        return periods;
+    }
+
+    // One timeline point per day from startDate to endDate (inclusive), for daily charts
+    function dailyBalances(timeline, startDate, endDate) {
+        const days = [];
+        let index = 0;
+        let point = null;
+        for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+            while (index < timeline.length && timeline[index].date <= date) {
+                point = timeline[index++];
+            }
+            if (point) days.push({ ...point, date: date });
+        }
+        return days;
+    }
+
+    return {
+        MONTHS,
+        TRANSACTION_TYPES,
+        SCHEDULE_FREQUENCIES,
+        CARRIED_EXCESS,
+        ANNUAL_LIMITS,
+        DEFAULT_CPI_RATE,
+        annualLimit,
+        isProjectedLimit,
+        calculatePenalty,
+        balanceOn,
+        dailyBalances,
+        findExcessPeriods,
+        summarizeByInstitution,
+        calculateLedger,
+        calculateRoomFromProfile,
+        checkExemptContribution,
+        isNonResidentOn,
+        isNonResidentAllYear,
+        isCalendarDate,
+        toCents,
+        fromCents,
+        addDays,
+        addMonths,
+        expandSchedule
+    };
+});
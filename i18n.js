@@ -0,0 +1,650 @@
+/**
+ * TFSA Penalty Calculator Translations
+ *
+ * The interface is written in English; FR gives the Canadian French text for
+ * each English string, with {name} placeholders filled in by translate(). No
+ * DOM access; loads as browser globals or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (engine) {
+    'use strict';
+
+    const LANGUAGES = {
+        en: { label: 'English', locale: 'en-CA' },
+        fr: { label: 'Français', locale: 'fr-CA' }
+    };
+
+    // Short month names, as in the monthly tables and chart
+    const MONTH_NAMES = {
+        en: engine.MONTHS,
+        fr: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.']
+    };
+
+    // Messages built by engine.js, csv.js, reconcile.js and share.js,
+    // translated after the fact by translateMessage()
+    const FR_MESSAGES = {
+        'First column is not a year': "La première colonne n'est pas une année",
+        'Expected {count} columns': '{count} colonnes attendues',
+        'Invalid room: {value}': 'Droits invalides : {value}',
+        'Unmapped type: {value}': 'Type non associé : {value}',
+        'Transfer needs both institutions': 'Un transfert exige les deux institutions',
+        'Invalid amount: {value}': 'Montant invalide : {value}',
+        'Invalid date: {value}': 'Date invalide : {value}',
+        'Invalid format': 'Format invalide',
+        '{date}: {issue}': '{date} : {issue}',
+        'Rollover outside the period {deathDate} to {rolloverEnd}; counted as a regular contribution': 'Transfert hors de la période du {deathDate} au {rolloverEnd}; compté comme une cotisation ordinaire',
+        'Not designated yet; file Form RC240 by {deadline}': 'Pas encore désignée; produisez le formulaire RC240 au plus tard le {deadline}',
+        'Designated on {date}, after the {deadline} deadline': 'Désignée le {date}, après la date limite du {deadline}',
+        'CRA figure': "Montant de l'ARC",
+        'Under 18': 'Moins de 18 ans',
+        'Non-resident': 'Non-résident',
+        'Carried forward': 'Reporté',
+        "Holder's date of death missing; counted as a regular contribution": 'Date du décès du titulaire manquante; comptée comme une cotisation ordinaire',
+        'This link is damaged or incomplete': 'Ce lien est endommagé ou incomplet',
+        'Wrong passphrase, or the link is damaged': 'Phrase de passe erronée, ou le lien est endommagé'
+    };
+
+    const FR = {
+        // Page
+        'TFSA': 'CELI',
+        'Penalty Calculator': 'Calculateur de pénalité',
+        'Unofficial Estimation Tool': "Outil d'estimation non officiel",
+        'How to Use': "Mode d'emploi",
+        '1. Select Year': "1. Choisissez l'année",
+        'Choose the tax year you are calculating for.': "Choisissez l'année d'imposition à calculer.",
+        '2. Enter Starting Room': '2. Entrez vos droits de départ',
+        'Find this on your CRA login or TFSA records.': "Ce montant figure dans votre dossier de l'ARC ou vos relevés CELI.",
+        '3. Add Transactions': '3. Ajoutez les transactions',
+        'Manually check all your transactions and add them via CSV file.': "Vérifiez toutes vos transactions et ajoutez-les au moyen d'un fichier CSV.",
+        '4. Check Results': '4. Vérifiez les résultats',
+        'See your remaining room or estimated penalty below.': 'Consultez vos droits restants ou la pénalité estimée ci-dessous.',
+        'New': 'Nouveau',
+        'Rename': 'Renommer',
+        'Duplicate': 'Dupliquer',
+        'Delete': 'Supprimer',
+        'Import Snapshot (.json)': 'Importer un instantané (.json)',
+        'Account Setup': 'Configuration du compte',
+        'Calculation Mode': 'Mode de calcul',
+        'Single Year': 'Une seule année',
+        'Multi-Year Ledger': 'Registre pluriannuel',
+        'First Year of Ledger': 'Première année du registre',
+        "Each year's room carries into the next": 'Les droits de chaque année sont reportés à la suivante',
+        'Starting Contribution Room': 'Droits de cotisation de départ',
+        'On Jan 1st of selected year': "Au 1er janvier de l'année choisie",
+        'Not sure? Calculate from your eligibility': 'Pas certain? Calculez-les selon votre admissibilité',
+        'Date of Birth': 'Date de naissance',
+        'Resident Since': 'Résident depuis',
+        'Always': 'Toujours',
+        'CRA Room on Jan 1 of Previous Year': "Droits selon l'ARC au 1er janvier de l'année précédente",
+        '(optional)': '(facultatif)',
+        'From My Account': 'Selon Mon dossier',
+        'Net Used': 'Net utilisé',
+        'Room Jan 1': 'Droits au 1er janv.',
+        'Use': 'Utiliser',
+        'as Starting Room': 'comme droits de départ',
+        'Non-Resident Periods': 'Périodes de non-résidence',
+        'Contributions made while non-resident are taxed 1% per month until withdrawn or you return. No room accrues for a year spent entirely abroad.': "Les cotisations versées pendant la non-résidence sont imposées à 1 % par mois jusqu'à leur retrait ou votre retour. Aucun droit ne s'accumule pour une année passée entièrement à l'étranger.",
+        'Emigration Date': "Date d'émigration",
+        'Return Date': 'Date de retour',
+        '(if any)': "(s'il y a lieu)",
+        'Add Period': 'Ajouter la période',
+        'Annual Limits & Inflation': 'Plafonds annuels et inflation',
+        'Limits not yet announced are projected the way CRA sets them: the $5,000 base indexed to inflation each year, rounded to the nearest $500.': "Les plafonds pas encore annoncés sont projetés comme l'ARC les fixe : la base de 5 000 $ indexée chaque année à l'inflation, arrondie aux 500 $ près.",
+        'Assumed Inflation': 'Inflation supposée',
+        'Compare low / base / high': 'Comparer bas / base / élevé',
+        'Bulk Import via CSV': 'Importation en bloc par CSV',
+        'Download Template': 'Télécharger le modèle',
+        'Format: Date, Type, Amount, Institution, To Institution': 'Format : Date, Type, Montant, Institution, Institution destinataire',
+        'Example: 2024-01-01, Contribution, 5000, RBC': 'Exemple : 2024-01-01, Cotisation, 5000, RBC',
+        'Transfer: 2024-03-01, Transfer, 5000, RBC, Wealthsimple': 'Transfert : 2024-03-01, Transfert, 5000, RBC, Wealthsimple',
+        'Undo last import': 'Annuler la dernière importation',
+        'Map Columns': 'Associer les colonnes',
+        'Delete selected preset': 'Supprimer le préréglage choisi',
+        'Institution (if no account column)': 'Institution (sans colonne de compte)',
+        'e.g. Questrade': 'p. ex. Questrade',
+        'Map Values to Types': 'Associer les valeurs aux types',
+        'Save as preset (optional), e.g. Wealthsimple activity': 'Enregistrer comme préréglage (facultatif), p. ex. Activité Wealthsimple',
+        'Import': 'Importer',
+        'Cancel': 'Annuler',
+        'Or Add Manually': 'Ou ajoutez manuellement',
+        'Select Institution': "Choisir l'institution",
+        'RBC Royal Bank': 'RBC Banque Royale',
+        'TD Canada Trust': 'TD Canada Trust',
+        'BMO Bank of Montreal': 'BMO Banque de Montréal',
+        'iA Financial': 'iA Groupe financier',
+        'Other / Custom': 'Autre / personnalisée',
+        'To Institution': 'Institution destinataire',
+        'Contribution (+)': 'Cotisation (+)',
+        'Withdrawal (-)': 'Retrait (-)',
+        'Direct Transfer (⇄)': 'Transfert direct (⇄)',
+        'Exempt Contribution (Survivor)': 'Cotisation exemptée (survivant)',
+        "Holder's Date of Death": 'Date du décès du titulaire',
+        'RC240 Designation Date': 'Date de désignation RC240',
+        'Must be paid by Dec 31 of the year after death and designated within 30 days of the contribution.': "Doit être versée au plus tard le 31 décembre de l'année suivant le décès et désignée dans les 30 jours suivant la cotisation.",
+        'e.g. Moved to high-interest savings': 'p. ex. Placé dans un compte à intérêt élevé',
+        'Add Transaction': 'Ajouter la transaction',
+        'Recurring Schedule': 'Calendrier récurrent',
+        'Pre-authorized contributions or withdrawals. Every payment is included in the calculation and the schedule appears as one group in the list below.': 'Cotisations ou retraits préautorisés. Chaque versement est inclus dans le calcul et le calendrier apparaît comme un seul groupe dans la liste ci-dessous.',
+        'Frequency': 'Fréquence',
+        'First Payment': 'Premier versement',
+        'End Date': 'Date de fin',
+        'Add Schedule': 'Ajouter le calendrier',
+        'Show': 'Afficher',
+        'Select all shown transactions': 'Sélectionner toutes les transactions affichées',
+        'Search notes, institutions, dates, amounts': 'Rechercher notes, institutions, dates, montants',
+        'All types': 'Tous les types',
+        'Transfers': 'Transferts',
+        'Exempt': 'Exemptées',
+        'From date': 'Date de début',
+        'To date': 'Date de fin',
+        'Min $': 'Min $',
+        'Max $': 'Max $',
+        'Change Institution': "Changer d'institution",
+        'Export:': 'Exporter :',
+        'Ledger CSV': 'Registre CSV',
+        'Monthly CSV': 'Mensuel CSV',
+        'JSON Snapshot': 'Instantané JSON',
+        'Print Report': 'Imprimer le rapport',
+        'Total 1% tax on excess': "Total de l'impôt de 1 % sur l'excédent",
+        'Non-Resident Tax': 'Impôt des non-résidents',
+        '1% on contributions while abroad': "1 % sur les cotisations versées à l'étranger",
+        'Max Monthly Excess': 'Excédent mensuel maximal',
+        'Highest peak in year': "Sommet le plus élevé de l'année",
+        'Remaining Contribution Room': 'Droits de cotisation restants',
+        'Available to contribute this year': 'Disponible pour cotiser cette année',
+        'Est. Limit on Jan 1': 'Plafond estimé au 1er janvier',
+        'Months Affected': 'Mois touchés',
+        'Months with excess > 0': 'Mois avec excédent > 0',
+        'Total Contributions': 'Total des cotisations',
+        'Added this year': 'Ajoutées cette année',
+        'Total Withdrawals': 'Total des retraits',
+        'Added back next year': "Rajoutés l'an prochain",
+        'Recurring Schedule Projection': 'Projection des calendriers récurrents',
+        'A TFSA return (RC243) is due': 'Une déclaration CELI (RC243) doit être produite',
+        'Download CSV': 'Télécharger le CSV',
+        'Print Draft Worksheet': 'Imprimer la feuille de travail provisoire',
+        'Year-by-Year Summary': 'Sommaire annuel',
+        'Cumulative Penalty:': 'Pénalité cumulative :',
+        '· Non-Resident Tax:': '· Impôt des non-résidents :',
+        'Opening Room': "Droits d'ouverture",
+        'Penalty': 'Pénalité',
+        'Non-Res. Tax': 'Impôt non-rés.',
+        'Cumulative': 'Cumulatif',
+        'Whole year': "Toute l'année",
+        'Daily': 'Quotidien',
+        'By Institution': 'Par institution',
+        'Transfers between institutions are not counted': 'Les transferts entre institutions ne sont pas comptés',
+        'Net': 'Net',
+        'Share of Peak Excess': "Part de l'excédent maximal",
+        'Monthly Breakdown': 'Ventilation mensuelle',
+        'Complete setup to see breakdown.': 'Terminez la configuration pour voir la ventilation.',
+        'Planner': 'Planificateur',
+        'Tests hypothetical transactions against the current scenario before you make a move.': 'Teste des transactions hypothétiques sur le scénario actuel avant que vous agissiez.',
+        'How much can I safely contribute?': 'Combien puis-je cotiser sans risque?',
+        'Contribution Date': 'Date de cotisation',
+        'Find Largest Safe Amount': 'Trouver le montant sûr le plus élevé',
+        'Which withdrawal keeps the penalty lowest?': 'Quel retrait réduit le plus la pénalité?',
+        'Current excess': 'Excédent actuel',
+        'Earliest Date': 'Date la plus proche',
+        'Find Best Withdrawal': 'Trouver le meilleur retrait',
+        'Tick the scenarios that stand for people in your household to compare them for': 'Cochez les scénarios qui représentent les personnes de votre ménage pour les comparer pour',
+        '. Each keeps its own starting room and transactions.': '. Chacun conserve ses propres droits de départ et transactions.',
+        'Person': 'Personne',
+        'Remaining Room': 'Droits restants',
+        'Excess at Year End': "Excédent à la fin de l'année",
+        'Reconcile with CRA': "Rapprochement avec l'ARC",
+        'Paste or type what My Account shows to find differences to raise with your institution before a penalty notice arrives.': "Collez ou tapez ce qu'affiche Mon dossier pour repérer les écarts à signaler à votre institution avant de recevoir un avis de pénalité.",
+        'TFSA Room Statement': 'État des droits de cotisation CELI',
+        '(Year, Room on Jan 1)': '(Année, droits au 1er janvier)',
+        'Transaction Summary': 'Résumé des transactions',
+        '(Year, Institution, Contributions, Withdrawals)': '(Année, institution, cotisations, retraits)',
+        'Columns can be separated by tabs (pasted from a table), commas or several spaces. Institution names are matched ignoring case, spaces and punctuation. Only years in the CRA summary are compared.': "Les colonnes peuvent être séparées par des tabulations (collées d'un tableau), des virgules ou plusieurs espaces. Les noms d'institutions sont comparés sans tenir compte de la casse, des espaces ni de la ponctuation. Seules les années du résumé de l'ARC sont comparées.",
+        'here / CRA': 'ici / ARC',
+        'Penalty Waiver Request': "Demande d'annulation de pénalité",
+        'CRA may cancel the tax when an excess arose from a reasonable error and was removed without delay. Build a draft letter explaining what happened.': "L'ARC peut annuler l'impôt lorsqu'un excédent découle d'une erreur raisonnable et a été retiré sans délai. Préparez une ébauche de lettre expliquant ce qui s'est passé.",
+        'Your Name': 'Votre nom',
+        'Date You Noticed the Excess': "Date où vous avez constaté l'excédent",
+        'Reasons': 'Motifs',
+        'In Your Own Words': 'Dans vos mots',
+        'e.g. I withdrew to pay for a move and re-contributed the same year, not knowing the room only came back in January.': "p. ex. J'ai retiré pour payer un déménagement et recotisé la même année, sans savoir que les droits ne revenaient qu'en janvier.",
+        'Build Draft Letter': 'Préparer la lettre',
+        'Draft Letter': 'Ébauche de lettre',
+        '(edit freely; rebuilding replaces your edits)': '(modifiable; la régénérer remplace vos modifications)',
+        'Download .txt': 'Télécharger le .txt',
+        'Print': 'Imprimer',
+        'Data is processed locally in your browser. No information is sent to any server.': "Les données sont traitées localement dans votre navigateur. Aucune information n'est envoyée à un serveur.",
+        'Review Import': "Vérifier l'importation",
+        'Mapping:': 'Association :',
+        'Change mapping': "Modifier l'association",
+        'Line': 'Ligne',
+        'To (Transfers)': 'Vers (transferts)',
+        'This tool is for educational purposes only. It is not an official CRA assessment. Calculations may differ from actual CRA penalties due to timing differences in reporting. Always verify with your "My CRA" account.': "Cet outil est fourni à titre informatif seulement. Il ne s'agit pas d'une cotisation officielle de l'ARC. Les calculs peuvent différer des pénalités réelles de l'ARC en raison de décalages dans la déclaration. Vérifiez toujours dans votre compte « Mon dossier » de l'ARC.",
+        'TFSA Penalty Calculator | Estimate CRA Over-Contribution Taxes': "Calculateur de pénalité CELI | Estimez l'impôt de l'ARC sur les cotisations excédentaires",
+        'A new version of the calculator is available.': 'Une nouvelle version du calculateur est disponible.',
+        'Reload': 'Recharger',
+
+        // Summary
+        'On Jan 1st of {year}': 'Au 1er janvier {year}',
+        'Year Shown in Detail': 'Année détaillée',
+        'Calculation Year': 'Année de calcul',
+        'Available to contribute in {year}': 'Disponible pour cotiser en {year}',
+        'Est. Limit on Jan 1, {year}': 'Plafond estimé au 1er janvier {year}',
+        '(projected at {rate} inflation)': '(projeté avec une inflation de {rate})',
+
+        // Transaction types
+        'Contribution': 'Cotisation',
+        'Withdrawal': 'Retrait',
+        'Transfer': 'Transfert',
+        'Exempt Contribution': 'Cotisation exemptée',
+
+        // Transactions
+        'Please select a financial institution.': 'Veuillez choisir une institution financière.',
+        'Please select the institution receiving the transfer.': "Veuillez choisir l'institution qui reçoit le transfert.",
+        'A transfer must be between two different institutions.': 'Un transfert doit se faire entre deux institutions différentes.',
+        "Please enter the deceased holder's date of death.": 'Veuillez entrer la date du décès du titulaire.',
+        'Please enter a valid date and amount.': 'Veuillez entrer une date et un montant valides.',
+        'Amount must be positive.': 'Le montant doit être positif.',
+        'Date must be in {year} or later.': 'La date doit être en {year} ou plus tard.',
+        'Date must be in {year}.': 'La date doit être en {year}.',
+        'Delete {count} selected transaction?': 'Supprimer {count} transaction sélectionnée?',
+        'Delete {count} selected transactions?': 'Supprimer {count} transactions sélectionnées?',
+        'Please select the new institution.': 'Veuillez choisir la nouvelle institution.',
+        '{count} transaction not changed (still selected).': '{count} transaction non modifiée (toujours sélectionnée).',
+        '{count} transactions not changed (still selected).': '{count} transactions non modifiées (toujours sélectionnées).',
+        '{count} transaction selected': '{count} transaction sélectionnée',
+        '{count} transactions selected': '{count} transactions sélectionnées',
+        '{count} schedule': '{count} calendrier',
+        '{count} schedules': '{count} calendriers',
+        '{shown} of {count} item': '{shown} sur {count} élément',
+        '{shown} of {count} items': '{shown} sur {count} éléments',
+        '{count} item': '{count} élément',
+        '{count} items': '{count} éléments',
+        'No transactions match the filters.': 'Aucune transaction ne correspond aux filtres.',
+        'No transactions added yet.': 'Aucune transaction ajoutée pour le moment.',
+        'Select': 'Sélectionner',
+        'Survivor rollover, holder died {date}': 'Transfert du survivant, titulaire décédé le {date}',
+        'Edit': 'Modifier',
+        'To institution': 'Institution destinataire',
+        "Holder's date of death": 'Date du décès du titulaire',
+        'Done': 'Terminé',
+        'All institutions': 'Toutes les institutions',
+        'All years at {institution}: {contributions} contributed, {withdrawals} withdrawn': 'Toutes les années chez {institution} : {contributions} cotisés, {withdrawals} retirés',
+        ', {transfersIn} transferred in, {transfersOut} transferred out': ', {transfersIn} transférés vers, {transfersOut} transférés hors',
+        'From Institution': 'Institution source',
+
+        // Schedules
+        'Please enter a valid first payment date and amount.': 'Veuillez entrer une date de premier versement et un montant valides.',
+        'End date must be on or after the first payment.': 'La date de fin doit être le jour du premier versement ou après.',
+        'First payment must be in {year} or later.': 'Le premier versement doit être en {year} ou plus tard.',
+        'The first payment ({from}) is after {horizon}, beyond the calculated years.': 'Le premier versement ({from}) est après le {horizon}, au-delà des années calculées.',
+        'The schedules ended on {end}, so no payments are left to project.': 'Les calendriers récurrents ont pris fin le {end} : il ne reste aucun versement à projeter.',
+        'Today ({from}) is after {horizon}, beyond the calculated years. Show a later year to follow the schedules.': "Aujourd'hui ({from}) est après le {horizon}, au-delà des années calculées. Affichez une année plus récente pour suivre les calendriers récurrents.",
+        'No contribution room is left as of {from}.': 'Il ne reste aucun droit de cotisation au {from}.',
+        'At this pace the remaining room is used up on {date}.': 'À ce rythme, les droits restants sont épuisés le {date}.',
+        'The remaining room lasts through {horizon}.': "Les droits restants suffisent jusqu'au {horizon}.",
+        'You are already in excess as of {from}.': 'Vous êtes déjà en excédent au {from}.',
+        'Excess first appears on {date}; stop or reduce the schedule before then.': "Un excédent apparaît le {date}; arrêtez ou réduisez le calendrier d'ici là.",
+        'No excess is created through {horizon}.': "Aucun excédent n'est créé jusqu'au {horizon}.",
+        'Weekly': 'Chaque semaine',
+        'Every 2 weeks': 'Toutes les 2 semaines',
+        'Monthly': 'Chaque mois',
+        'Quarterly': 'Chaque trimestre',
+        'Yearly': 'Chaque année',
+        '{frequency} {typeLower}': '{type} {frequencyLower}',
+        'no end date': 'sans date de fin',
+        '{count} payment': '{count} versement',
+        '{count} payments': '{count} versements',
+        'to {date}': "jusqu'au {date}",
+        'Remove schedule': 'Supprimer le calendrier',
+
+        // Profile and limits
+        'Projected limit': 'Plafond projeté',
+        'Please enter your date of birth.': 'Veuillez entrer votre date de naissance.',
+        'Low': 'Bas',
+        'Base': 'Base',
+        'High': 'Élevé',
+        'Year': 'Année',
+        'Limit': 'Plafond',
+        'Status': 'Statut',
+        'Projected': 'Projeté',
+        'Official': 'Officiel',
+        'Room on Jan 1, {year}: {rooms}': 'Droits au 1er janvier {year} : {rooms}',
+        "The {year} limit is official, so next year's room doesn't depend on inflation.": "Le plafond de {year} est officiel : les droits de l'an prochain ne dépendent donc pas de l'inflation.",
+        '{year} (projected limit)': '{year} (plafond projeté)',
+
+        // Residency
+        'Please enter the date you became a non-resident.': 'Veuillez entrer la date à laquelle vous êtes devenu non-résident.',
+        'Return date must be after the emigration date.': "La date de retour doit être postérieure à la date d'émigration.",
+        'Remove': 'Supprimer',
+
+        // Chart and tables
+        'No contributions or withdrawals this year.': 'Aucune cotisation ni aucun retrait cette année.',
+        'Excess and room available at the end of each day': 'Excédent et droits disponibles à la fin de chaque jour',
+        'Monthly peak excess, by the institution whose deposits created it': "Excédent maximal du mois, selon l'institution dont les dépôts l'ont créé",
+        'Contributions': 'Cotisations',
+        'Excess Amount': 'Montant excédentaire',
+        'Room Available': 'Droits disponibles',
+        '{label}: {amount}': '{label} : {amount}',
+        'Max Excess: {amount}': 'Excédent max. : {amount}',
+
+        // CSV import
+        'No valid transactions found in CSV. Check format.': 'Aucune transaction valide dans le CSV. Vérifiez le format.',
+        'TFSA Template': 'Modèle CELI',
+        'Possible duplicate': 'Doublon possible',
+        'OK': 'OK',
+        '{count} to import': '{count} à importer',
+        '{count} with errors': '{count} avec erreurs',
+        '{count} possible duplicate': '{count} doublon possible',
+        '{count} possible duplicates': '{count} doublons possibles',
+        '{count} row ignored': '{count} ligne ignorée',
+        '{count} rows ignored': '{count} lignes ignorées',
+        'Estimated Penalty': 'Pénalité estimée',
+        "Next Year's Room": "Droits de l'an prochain",
+        'Import {count} Row': 'Importer {count} ligne',
+        'Import {count} Rows': 'Importer {count} lignes',
+        'Undo last import ({count} item)': 'Annuler la dernière importation ({count} élément)',
+        'Undo last import ({count} items)': 'Annuler la dernière importation ({count} éléments)',
+        'Columns: {columns}': 'Colonnes : {columns}',
+        '— None —': '— Aucune —',
+        'Date': 'Date',
+        'Type': 'Type',
+        'Amount': 'Montant',
+        'Description': 'Description',
+        'Account / Institution': 'Compte / institution',
+        'To Account (transfers)': 'Compte destinataire (transferts)',
+        'No type or description column: negative amounts import as withdrawals, the rest as contributions.': 'Aucune colonne de type ou de description : les montants négatifs sont importés comme retraits, les autres comme cotisations.',
+        'Ignore': 'Ignorer',
+        'Load preset…': 'Charger un préréglage…',
+        'Please map: {fields}.': 'Veuillez associer : {fields}.',
+        'Custom mapping': 'Association personnalisée',
+
+        // Scenarios
+        'My Scenario': 'Mon scénario',
+        'Saved in this browser': 'Enregistré dans ce navigateur',
+        'Not saved: browser storage unavailable': 'Non enregistré : stockage du navigateur indisponible',
+        'Name for the new scenario:': 'Nom du nouveau scénario :',
+        'Scenario {number}': 'Scénario {number}',
+        'Name for the copy:': 'Nom de la copie :',
+        '{name} (copy)': '{name} (copie)',
+        'Rename scenario:': 'Renommer le scénario :',
+        'At least one scenario is needed.': 'Il faut au moins un scénario.',
+        'Delete "{name}" and all of its transactions?': 'Supprimer « {name} » et toutes ses transactions?',
+        'Your saved scenarios could not be read, so the calculator started over. A copy was kept in this browser. Download it now?': "Vos scénarios enregistrés n'ont pas pu être lus; le calculateur est donc reparti de zéro. Une copie a été conservée dans ce navigateur. La télécharger maintenant?",
+
+        // Household
+        'Starts after {year}': 'Commence après {year}',
+        'Household': 'Ménage',
+        'No one is in excess at the end of {year}. Unused room across the household: {room}.': "Personne n'a d'excédent à la fin de {year}. Droits inutilisés pour le ménage : {room}.",
+        '{name} is over by {excess} ({penalty} tax in {year}).': "{name} a un excédent de {excess} ({penalty} d'impôt en {year}).",
+        'Meanwhile {names} still has {room} of unused room.': 'Pendant ce temps, {names} dispose encore de {room} de droits inutilisés.',
+        'Meanwhile {names} still have {room} of unused room.': 'Pendant ce temps, {names} disposent encore de {room} de droits inutilisés.',
+        "Room can't be moved between holders, so the excess has to be withdrawn. The money can then be given to someone with room to put in their own TFSA; gifts like that aren't attributed back to the giver.": "Les droits ne peuvent pas être transférés d'un titulaire à l'autre : l'excédent doit donc être retiré. L'argent peut ensuite être donné à une personne qui a des droits pour qu'elle le verse dans son propre CELI; un tel don n'est pas attribué au donateur.",
+        'No one else in the household has room left in {year}.': "Personne d'autre dans le ménage n'a de droits disponibles en {year}.",
+        'Not included: {names} (set up for later years).': 'Non inclus : {names} (configurés pour des années ultérieures).',
+
+        // Exports
+        'Note': 'Note',
+        'Month': 'Mois',
+        'Max Excess': 'Excédent max.',
+        'Penalty (1%)': 'Pénalité (1 %)',
+        'Non-Resident Contributions': 'Cotisations de non-résident',
+        'Non-Resident Tax (1%)': 'Impôt de non-résident (1 %)',
+        'Notes': 'Remarques',
+        'Total': 'Total',
+        'This file is not a TFSA calculator snapshot.': "Ce fichier n'est pas un instantané du calculateur CELI.",
+        '{name} (imported)': '{name} (importé)',
+        '(projected)': '(projeté)',
+        'Scenario': 'Scénario',
+        'Mode': 'Mode',
+        'Multi-year ledger from {year}': 'Registre pluriannuel depuis {year}',
+        'Single year': 'Année unique',
+        'Calculation year': 'Année de calcul',
+        'Starting room (Jan 1, {year})': 'Droits de départ (1er janv. {year})',
+        'Non-resident periods': 'Périodes de non-résidence',
+        '{from} to {to}': '{from} au {to}',
+        'present': "aujourd'hui",
+        'None': 'Aucune',
+        'Annual limit {year}': 'Plafond annuel {year}',
+        "Annual limit {year} (used for next year's room)": "Plafond annuel {year} (pour les droits de l'an prochain)",
+        'Assumed inflation for projected limits': 'Inflation supposée pour les plafonds projetés',
+        'Penalty rate': 'Taux de pénalité',
+        '1% per month on the highest excess in the month': "1 % par mois sur l'excédent le plus élevé du mois",
+        'Withdrawals': 'Retraits',
+        'Reduce excess immediately; added back to room on Jan 1 of the following year': "Réduisent l'excédent immédiatement; rajoutés aux droits le 1er janvier de l'année suivante",
+        'Estimated penalty': 'Pénalité estimée',
+        'Non-resident tax': 'Impôt de non-résident',
+        'Max monthly excess': 'Excédent mensuel max.',
+        'Remaining room': 'Droits restants',
+        'Room on Jan 1, {year}': 'Droits au 1er janv. {year}',
+        'Cumulative penalty since {year}': 'Pénalité cumulative depuis {year}',
+        'TFSA Penalty Report: {year}': 'Rapport de pénalité CELI : {year}',
+        'Generated {date} by the TFSA Penalty Calculator (unofficial estimation tool)': "Généré le {date} par le calculateur de pénalité CELI (outil d'estimation non officiel)",
+        'Inputs': 'Données',
+        'Assumptions': 'Hypothèses',
+        'Summary': 'Sommaire',
+        'Monthly Excess and Penalty': 'Excédent et pénalité par mois',
+        'Non-Res. Contrib.': 'Cotis. non-rés.',
+        'Non-Res. Tax (1%)': 'Impôt non-rés. (1 %)',
+        'Excess Timeline': "Évolution de l'excédent",
+        'Monthly excess chart': "Graphique de l'excédent mensuel",
+        'Transactions': 'Transactions',
+        'Institution': 'Institution',
+        'No transactions.': 'Aucune transaction.',
+        'Disclaimer:': 'Avis :',
+        'This report is for educational purposes only. It is not an official CRA assessment.': "Ce rapport est fourni à titre informatif seulement. Il ne s'agit pas d'une cotisation officielle de l'ARC.",
+        'Calculations may differ from actual CRA penalties due to timing differences in reporting.': "Les calculs peuvent différer des pénalités réelles de l'ARC en raison de décalages dans la déclaration.",
+        'Always verify with your "My CRA" account.': 'Vérifiez toujours dans votre compte « Mon dossier ».',
+        'Generated {date}.': 'Généré le {date}.',
+        'Please allow pop-ups to open the printable report.': 'Veuillez autoriser les fenêtres contextuelles pour ouvrir le rapport imprimable.',
+        'Share Link': 'Lien de partage',
+        'The year, starting room, transactions, schedules, non-resident periods and inflation assumption are packed into the link itself, after the "#", which browsers never send to a server. Your profile, pasted CRA text and waiver letter are left out.': "L'année, les droits de départ, les opérations, les calendriers, les périodes de non-résidence et l'hypothèse d'inflation sont intégrés au lien lui-même, après le « # », que les navigateurs n'envoient jamais à un serveur. Votre profil, le texte collé de l'ARC et la lettre d'annulation n'y figurent pas.",
+        'Passphrase': 'Phrase de passe',
+        '(optional; send it separately from the link)': '(facultative; envoyez-la séparément du lien)',
+        'Create Link': 'Créer le lien',
+        'Copy': 'Copier',
+        'This browser cannot create share links. Export a JSON snapshot instead.': 'Ce navigateur ne peut pas créer de liens de partage. Exportez plutôt un instantané JSON.',
+        'This link is {length} characters long. Some browsers, mail and chat apps cut links longer than {max} characters; if it does not open in full, send a JSON snapshot instead.': "Ce lien compte {length} caractères. Certains navigateurs et applications de courriel ou de clavardage coupent les liens de plus de {max} caractères; s'il ne s'ouvre pas en entier, envoyez plutôt un instantané JSON.",
+        '{length} characters.': '{length} caractères.',
+        'The passphrase is needed to open it.': "La phrase de passe est nécessaire pour l'ouvrir.",
+        'This shared scenario is protected. Enter its passphrase:': 'Ce scénario partagé est protégé. Entrez sa phrase de passe :',
+        '{name} (shared)': '{name} (partagé)',
+
+        // RC243 worksheet
+        'A TFSA return (RC243) for {year} is due by {date}': 'Une déclaration CELI (RC243) pour {year} doit être produite au plus tard le {date}',
+        "Estimated tax owing: {amount}. The draft worksheet lists each month's highest amount and 1% tax to copy onto the official form.": "Impôt estimé à payer : {amount}. La feuille de travail provisoire indique le montant le plus élevé de chaque mois et l'impôt de 1 % à reporter sur le formulaire officiel.",
+        'UNOFFICIAL DRAFT - not a CRA form. Copy the figures onto the official RC243 and schedules.': "ÉBAUCHE NON OFFICIELLE - pas un formulaire de l'ARC. Reportez les montants sur le formulaire RC243 officiel et ses annexes.",
+        'Tax (1%)': 'Impôt (1 %)',
+        'Schedule A - Excess TFSA amount': 'Annexe A - Montant excédentaire CELI',
+        'Highest excess TFSA amount in the month': 'Montant excédentaire CELI le plus élevé du mois',
+        'Schedule B - Non-resident contributions': 'Annexe B - Cotisations de non-résident',
+        'Highest non-resident contributions held in the month': 'Cotisations de non-résident les plus élevées détenues dans le mois',
+        'Tax payable': 'Impôt à payer',
+        'Tax on excess TFSA amount (Schedule A)': 'Impôt sur le montant excédentaire CELI (annexe A)',
+        'Tax on non-resident contributions (Schedule B)': 'Impôt sur les cotisations de non-résident (annexe B)',
+        'Total tax payable': "Total de l'impôt à payer",
+        'Return and payment due': 'Date limite de la déclaration et du paiement',
+        'Draft TFSA Return Worksheet (RC243): {year}': 'Feuille de travail provisoire de la déclaration CELI (RC243) : {year}',
+        'Generated {date} by the TFSA Penalty Calculator for scenario "{name}"': 'Généré le {date} par le calculateur de pénalité CELI pour le scénario « {name} »',
+        'UNOFFICIAL DRAFT. This is not a CRA form and cannot be filed. Copy the figures onto the official RC243 return and its schedules.': "ÉBAUCHE NON OFFICIELLE. Ceci n'est pas un formulaire de l'ARC et ne peut pas être produit. Reportez les montants sur la déclaration RC243 officielle et ses annexes.",
+        'Holder Information': 'Renseignements sur le titulaire',
+        'Complete your name, address and social insurance number on the official form.': "Inscrivez vos nom, adresse et numéro d'assurance sociale sur le formulaire officiel.",
+        'Schedule A – Excess TFSA Amount': 'Annexe A – Montant excédentaire CELI',
+        'For each month, the highest excess TFSA amount at any time in the month and the 1% tax on it.': "Pour chaque mois, le montant excédentaire CELI le plus élevé à un moment quelconque du mois et l'impôt de 1 % sur ce montant.",
+        'Highest excess TFSA amount': 'Montant excédentaire CELI le plus élevé',
+        'Schedule B – Non-Resident Contributions': 'Annexe B – Cotisations de non-résident',
+        'For each month, the highest total of contributions made while non-resident and still held, and the 1% tax on it.': "Pour chaque mois, le total le plus élevé des cotisations versées pendant la non-résidence et toujours détenues, et l'impôt de 1 % sur ce total.",
+        'Highest non-resident contributions': 'Cotisations de non-résident les plus élevées',
+        'Tax Payable': 'Impôt à payer',
+        'Tax on excess TFSA amount (from Schedule A)': "Impôt sur le montant excédentaire CELI (de l'annexe A)",
+        'Tax on non-resident contributions (from Schedule B)': "Impôt sur les cotisations de non-résident (de l'annexe B)",
+        'Filing Deadline': 'Date limite de production',
+        'File the return and pay the tax by {date}.': "Produisez la déclaration et payez l'impôt au plus tard le {date}.",
+        'An excess of {amount} was still held on {date}; it keeps attracting 1% per month in {year} until it is withdrawn or absorbed by new room.': "Un excédent de {amount} était toujours détenu le {date}; il continue d'entraîner 1 % par mois en {year} jusqu'à ce qu'il soit retiré ou absorbé par de nouveaux droits.",
+        'This worksheet is an unofficial helper for educational purposes only. It is not an official CRA assessment or form.': "Cette feuille de travail est un outil non officiel fourni à titre informatif seulement. Il ne s'agit ni d'une cotisation ni d'un formulaire officiel de l'ARC.",
+        'Calculations may differ from actual CRA figures due to timing differences in reporting.': "Les calculs peuvent différer des montants réels de l'ARC en raison de décalages dans la déclaration.",
+        'Please allow pop-ups to open the printable worksheet.': 'Veuillez autoriser les fenêtres contextuelles pour ouvrir la feuille de travail imprimable.',
+
+        // Planner
+        'Estimated Penalty:': 'Pénalité estimée :',
+        "Next Year's Room:": "Droits de l'an prochain :",
+        'Contribute up to {amount} on {date}': "Cotisez jusqu'à {amount} le {date}",
+        'Any contribution on {date} would add to your excess.': 'Toute cotisation le {date} augmenterait votre excédent.',
+        'No excess on {date}. Enter an amount to test.': 'Aucun excédent le {date}. Entrez un montant à tester.',
+        'Withdraw {amount} on {date}': 'Retirez {amount} le {date}',
+        'Withdraw {amount} between {from} and {to}': 'Retirez {amount} entre le {from} et le {to}',
+
+        // CRA reconciliation
+        'Room statement line {line}: {error}': 'Relevé des droits, ligne {line} : {error}',
+        'Transaction summary line {line}: {error}': 'Résumé des transactions, ligne {line} : {error}',
+        '{count} difference to check with CRA or your institution': "{count} écart à vérifier auprès de l'ARC ou de votre institution",
+        '{count} differences to check with CRA or your institution': "{count} écarts à vérifier auprès de l'ARC ou de votre institution",
+        'Everything entered matches this calculator.': 'Tout ce qui a été saisi correspond à ce calculateur.',
+        'Enter the transaction summary to compare institutions.': 'Entrez le résumé des transactions pour comparer les institutions.',
+        'Matches': 'Concorde',
+        'Amounts differ': 'Montants différents',
+        'Missing at CRA': "Absent à l'ARC",
+        'Not in your records': 'Absent de vos dossiers',
+        'Room on Jan 1, {year}: CRA {cra}; not calculated here (use Multi-Year Ledger to cover {year}).': 'Droits au 1er janvier {year} : ARC {cra}; non calculés ici (utilisez le registre pluriannuel pour couvrir {year}).',
+        'Room on Jan 1, {year}: {cra} matches.': 'Droits au 1er janvier {year} : {cra}, concorde.',
+        'Room on Jan 1, {year}: CRA {cra}, calculated here {computed} (CRA higher by {difference}).': 'Droits au 1er janvier {year} : ARC {cra}, calculés ici {computed} (ARC plus élevé de {difference}).',
+        'Room on Jan 1, {year}: CRA {cra}, calculated here {computed} (CRA lower by {difference}).': 'Droits au 1er janvier {year} : ARC {cra}, calculés ici {computed} (ARC moins élevé de {difference}).',
+        'CRA shows nothing from this institution: {txs}': "L'ARC n'indique rien de cette institution : {txs}",
+        'No transactions recorded here; add them or check the institution name.': "Aucune transaction inscrite ici; ajoutez-les ou vérifiez le nom de l'institution.",
+        'Possibly not reported yet: {txs}': 'Peut-être pas encore déclaré : {txs}',
+        'CRA shows {amount} more in contributions': "L'ARC indique {amount} de plus en cotisations",
+        'CRA shows {amount} more in withdrawals': "L'ARC indique {amount} de plus en retraits",
+        'CRA shows less than recorded here': "L'ARC indique moins que ce qui est inscrit ici",
+
+        // Waiver request
+        'Re-contributed a withdrawal in the same year': 'Retrait recotisé au cours de la même année',
+        'I did not realize that a withdrawal only adds contribution room back on January 1 of the following year, and re-contributed it in the same year.': "Je ne savais pas qu'un retrait n'est ajouté aux droits de cotisation que le 1er janvier de l'année suivante, et je l'ai recotisé au cours de la même année.",
+        'Relied on an incorrect room figure': 'Fondé sur un montant de droits inexact',
+        'I relied on a contribution room figure that later turned out to be out of date or incorrect.': "Je me suis fié à un montant de droits de cotisation qui s'est avéré périmé ou inexact.",
+        'Moved money between institutions as a withdrawal and re-contribution': 'Fonds déplacés entre institutions par retrait et recotisation',
+        'I moved my savings between financial institutions myself, by withdrawing and re-contributing, instead of requesting a direct transfer.': "J'ai déplacé moi-même mon épargne entre institutions financières, en retirant puis en recotisant, au lieu de demander un transfert direct.",
+        'Error or delay by the financial institution': "Erreur ou retard de l'institution financière",
+        'The excess arose from an error or delay by my financial institution.': "L'excédent découle d'une erreur ou d'un retard de mon institution financière.",
+        'Removed the excess as soon as I found out': "Excédent retiré dès que je m'en suis aperçu",
+        'As soon as I became aware of the excess, I withdrew it.': "Dès que j'ai pris connaissance de l'excédent, je l'ai retiré.",
+        'Excess carried over from the previous year': "Excédent reporté de l'année précédente",
+        'Withdrawal of {amount} from {institution}': 'Retrait de {amount} chez {institution}',
+        '{type} of {amount} to {institution}': '{type} de {amount} chez {institution}',
+        'I became aware of the excess': "J'ai pris connaissance de l'excédent",
+        'Excess fully removed': 'Excédent entièrement retiré',
+        'Excess absorbed by new contribution room': 'Excédent absorbé par de nouveaux droits de cotisation',
+        'No excess in the calculated period, so there is nothing to ask CRA to cancel.': "Aucun excédent dans la période calculée : il n'y a rien à faire annuler par l'ARC.",
+        'Excess from {start} to {end} ({days} day), peak {peak}, estimated tax {tax}': 'Excédent du {start} au {end} ({days} jour), sommet {peak}, impôt estimé {tax}',
+        'Excess from {start} to {end} ({days} days), peak {peak}, estimated tax {tax}': 'Excédent du {start} au {end} ({days} jours), sommet {peak}, impôt estimé {tax}',
+        'Excess from {start} still held, peak {peak}, estimated tax {tax}': 'Excédent depuis le {start}, toujours détenu, sommet {peak}, impôt estimé {tax}',
+        'Event': 'Événement',
+        'Excess after': 'Excédent après',
+        '[Your name]': '[Votre nom]',
+        '[Address]': '[Adresse]',
+        '[Social insurance number]': "[Numéro d'assurance sociale]",
+        'Canada Revenue Agency': 'Agence du revenu du Canada',
+        '[TFSA processing address from your notice]': '[Adresse de traitement CELI indiquée sur votre avis]',
+        'Since {start}, my contributions have exceeded my available TFSA contribution room, by up to {peak}. I am taking steps to remove the excess.': "Depuis le {start}, mes cotisations dépassent mes droits de cotisation CELI disponibles, d'au plus {peak}. Je prends des mesures pour retirer l'excédent.",
+        'I withdrew the full excess on {date}.': "J'ai retiré la totalité de l'excédent le {date}.",
+        'The excess was absorbed by new contribution room on {date}.': "L'excédent a été absorbé par de nouveaux droits de cotisation le {date}.",
+        'From {start} to {end} ({days} day), my contributions exceeded my available TFSA contribution room, by up to {peak}.': "Du {start} au {end} ({days} jour), mes cotisations ont dépassé mes droits de cotisation CELI disponibles, d'au plus {peak}.",
+        'From {start} to {end} ({days} days), my contributions exceeded my available TFSA contribution room, by up to {peak}.': "Du {start} au {end} ({days} jours), mes cotisations ont dépassé mes droits de cotisation CELI disponibles, d'au plus {peak}.",
+        'Re: Request to cancel the tax on excess TFSA amounts for {years}': "Objet : Demande d'annulation de l'impôt sur les montants excédentaires CELI pour {years}",
+        'To whom it may concern,': 'Madame, Monsieur,',
+        'I am writing to ask that the tax on excess TFSA amounts be cancelled under subsection 207.06(1) of the Income Tax Act.': "Je vous écris pour demander l'annulation de l'impôt sur les montants excédentaires CELI en vertu du paragraphe 207.06(1) de la Loi de l'impôt sur le revenu.",
+        'The excess arose from a reasonable error, and it was removed without delay.': "L'excédent découle d'une erreur raisonnable et il a été retiré sans délai.",
+        'The excess arose from a reasonable error, and I am acting to remove it.': "L'excédent découle d'une erreur raisonnable et je prends des mesures pour le retirer.",
+        'WHAT HAPPENED': 'CE QUI EST ARRIVÉ',
+        'TIMELINE OF EVENTS': 'CHRONOLOGIE DES ÉVÉNEMENTS',
+        'REASONS': 'MOTIFS',
+        '[Explain how the excess happened]': "[Expliquez comment l'excédent s'est produit]",
+        'The estimated tax on these excess amounts is {amount}. I ask that you take into account how the excess arose and how quickly it was corrected.': "L'impôt estimé sur ces montants excédentaires s'élève à {amount}. Je vous demande de tenir compte de la façon dont l'excédent s'est produit et de la rapidité avec laquelle il a été corrigé.",
+        'Thank you for considering this request.': "Je vous remercie de l'attention portée à cette demande.",
+        'Sincerely,': 'Veuillez agréer, Madame, Monsieur, mes salutations distinguées.',
+        'Please allow pop-ups to print the letter.': 'Veuillez autoriser les fenêtres contextuelles pour imprimer la lettre.',
+        'TFSA Waiver Request': "Demande d'annulation CELI",
+
+        // Calendar
+        'Calendar (.ics)': 'Calendrier (.ics)',
+        'TFSA: {text}': 'CELI : {text}',
+        'new contribution room for {year}': 'nouveaux droits de cotisation pour {year}',
+        '{amount} withdrawn in {year} is added back to your room': '{amount} retirés en {year} sont rajoutés à vos droits',
+        'Withdrawals only add room back on January 1 of the following year; re-contributing them sooner uses new room.': "Les retraits ne sont rajoutés aux droits que le 1er janvier de l'année suivante; les recotiser plus tôt utilise de nouveaux droits.",
+        'return (RC243) for {year} due': 'déclaration (RC243) pour {year} à produire',
+        'Estimated tax owing: {amount}.': 'Impôt estimé à payer : {amount}.',
+        'withdraw the {amount} excess before {date}': "retirer l'excédent de {amount} avant le {date}",
+        'Each month is taxed 1% on the highest excess held at any time in it. Withdrawing the excess before {date} keeps it out of that month.': "Chaque mois est imposé à 1 % sur l'excédent le plus élevé détenu à un moment quelconque du mois. Retirer l'excédent avant le {date} l'exclut de ce mois.",
+        'Transfer of {amount} from {institution} to {to}': 'Transfert de {amount} de {institution} vers {to}',
+        'Recurring schedule payment': "Versement d'un calendrier récurrent",
+
+        ...FR_MESSAGES
+    };
+
+    const hasTranslation = text => Object.prototype.hasOwnProperty.call(FR, text);
+
+    /**
+     * The text in `language`, with {name} placeholders replaced from `params`.
+     * Text without a translation is returned as it is.
+     */
+    function translate(language, text, params) {
+        const template = language === 'fr' && hasTranslation(text) ? FR[text] : text;
+        if (!params) return template;
+        return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+    }
+
+    // Message keys with placeholders as anchored regexes, the most literal text
+    // first so "Invalid amount: {value}" is tried before "{date}: {issue}"
+    let messagePatterns = null;
+
+    function getMessagePatterns() {
+        if (messagePatterns) return messagePatterns;
+        messagePatterns = Object.keys(FR_MESSAGES)
+            .map(key => {
+                const names = [];
+                const source = key.split(/(\{\w+\})/).map(part => {
+                    const placeholder = part.match(/^\{(\w+)\}$/);
+                    if (placeholder) {
+                        names.push(placeholder[1]);
+                        return '([\\s\\S]+?)';
+                    }
+                    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }).join('');
+                return { key, names, literal: key.replace(/\{\w+\}/g, '').length, regex: new RegExp(`^${source}$`) };
+            })
+            .filter(p => p.names.length > 0)
+            .sort((a, b) => b.literal - a.literal);
+        return messagePatterns;
+    }
+
+    /**
+     * Translates a finished message, such as an engine flag or a CSV row error,
+     * whose values are already filled in. The values are translated too, so
+     * "2025-03-01: Not designated yet; file Form RC240 by 2025-04-01" comes out
+     * fully in French.
+     */
+    function translateMessage(language, message) {
+        if (language !== 'fr') return message;
+        if (hasTranslation(message)) return FR[message];
+
+        for (const pattern of getMessagePatterns()) {
+            const match = message.match(pattern.regex);
+            if (!match) continue;
+            const params = {};
+            pattern.names.forEach((name, i) => (params[name] = translateMessage(language, match[i + 1])));
+            return translate(language, pattern.key, params);
+        }
+        return message;
+    }
+
+    return {
+        LANGUAGES,
+        MONTH_NAMES,
+        FR,
+        translate,
+        translateMessage
+    };
+});
@@ -0,0 +1,205 @@
+/**
+ * TFSA Penalty Calculator CRA Reconciliation
+ *
+ * Compares the local transactions with what CRA My Account shows: the room
+ * statement (room on Jan 1 of each year) and the transaction summary
+ * (contributions and withdrawals per year and institution). No DOM access;
+ * loads as browser globals or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./csv'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (csv) {
+    'use strict';
+
+    // Pasted tables come tab-separated (spreadsheets, most web pages), aligned
+    // with runs of spaces, or as CSV
+    function splitPastedLine(line) {
+        if (line.includes('\t')) return line.split('\t').map(c => c.trim());
+        if (/\S\s{2,}\S/.test(line)) return line.trim().split(/\s{2,}/);
+        return csv.parseCsvRows(line)[0] || [];
+    }
+
+    // Reads pasted rows whose first cell is a year; a leading header line is skipped
+    function readYearRows(text, minCells, toRow) {
+        const rows = [];
+        const errors = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const cells = splitPastedLine(line).filter(c => c !== '');
+            const year = parseInt(cells[0]);
+            if (!/^\d{4}$/.test(cells[0] || '')) {
+                if (rows.length > 0 || errors.length > 0) errors.push({ line: i + 1, error: 'First column is not a year' });
+                return;
+            }
+            if (cells.length < minCells) {
+                errors.push({ line: i + 1, error: `Expected ${minCells} columns` });
+                return;
+            }
+            const row = toRow(year, cells);
+            if (row.error) {
+                errors.push({ line: i + 1, error: row.error });
+            } else {
+                rows.push(row);
+            }
+        });
+        return { rows, errors };
+    }
+
+    const parseMoney = text => csv.parseCsvAmount(text || '');
+
+    /**
+     * Room statement lines: "Year, Room on Jan 1".
+     */
+    function parseCraRoom(text) {
+        return readYearRows(text, 2, (year, cells) => {
+            const room = parseMoney(cells[1]);
+            return isNaN(room) ? { error: `Invalid room: ${cells[1]}` } : { year, room };
+        });
+    }
+
+    /**
+     * Transaction summary lines: "Year, Institution, Contributions, Withdrawals".
+     * An empty withdrawals column counts as 0.
+     */
+    function parseCraSummary(text) {
+        return readYearRows(text, 3, (year, cells) => {
+            const contributions = parseMoney(cells[2]);
+            const withdrawals = cells[3] ? parseMoney(cells[3]) : 0;
+            if (isNaN(contributions) || isNaN(withdrawals)) {
+                return { error: `Invalid amount: ${cells.slice(2).join(', ')}` };
+            }
+            return { year, institution: cells[1], contributions, withdrawals };
+        });
+    }
+
+    // "RBC Direct Investing" and "rbc direct-investing" are the same institution
+    function institutionKey(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    const cents = amount => Math.round(amount * 100);
+
+    // Local contributions and withdrawals per year and institution (cents).
+    // Transfers are reported by neither side, so they are left out.
+    function summarizeLocal(txs) {
+        const groups = new Map();
+        txs.filter(tx => tx.type !== 'TRANSFER').forEach(tx => {
+            const year = parseInt(tx.date.slice(0, 4));
+            const key = `${year}|${institutionKey(tx.institution)}`;
+            const group = groups.get(key) || { year, institution: tx.institution, contributions: 0, withdrawals: 0, txs: [] };
+            if (tx.type === 'WITHDRAWAL') {
+                group.withdrawals += cents(tx.amount);
+            } else {
+                group.contributions += cents(tx.amount);
+            }
+            group.txs.push(tx);
+            groups.set(key, group);
+        });
+        return groups;
+    }
+
+    // Transactions that could explain a difference (cents): one transaction of
+    // exactly that amount, or else the latest ones adding up to it (typically
+    // late-December activity an institution hasn't reported yet)
+    function findSuspects(txs, difference) {
+        const sorted = [...txs].sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+        const single = sorted.filter(tx => cents(tx.amount) === difference);
+        if (single.length > 0) return [single[single.length - 1]];
+
+        let sum = 0;
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            sum += cents(sorted[i].amount);
+            if (sum === difference) return sorted.slice(i);
+            if (sum > difference) break;
+        }
+        return [];
+    }
+
+    /**
+     * Matches the local transactions against CRA's summary and room statement.
+     *
+     * Only years present in the CRA summary are compared, since CRA lags behind
+     * by months. Each item is 'match', 'missing' (local activity CRA doesn't
+     * show), 'extra' (CRA shows activity with no local transactions) or
+     * 'mismatch', with differences as CRA minus local. computedRoom(year) returns
+     * the room this calculator has for Jan 1 of that year, or null if unknown.
+     */
+    function reconcileWithCra(txs, craSummary, craRoom, computedRoom) {
+        const local = summarizeLocal(txs);
+        const craYears = new Set(craSummary.map(r => r.year));
+        const items = [];
+        const seen = new Set();
+
+        craSummary.forEach(row => {
+            const key = `${row.year}|${institutionKey(row.institution)}`;
+            const group = local.get(key);
+            seen.add(key);
+
+            const craContrib = cents(row.contributions);
+            const craWithdraw = cents(row.withdrawals);
+            if (!group) {
+                items.push({
+                    year: row.year, institution: row.institution, status: 'extra',
+                    local: null, cra: row, contributionDiff: row.contributions, withdrawalDiff: row.withdrawals, suspects: []
+                });
+                return;
+            }
+
+            const contributionDiff = craContrib - group.contributions;
+            const withdrawalDiff = craWithdraw - group.withdrawals;
+            const status = contributionDiff === 0 && withdrawalDiff === 0 ? 'match' : 'mismatch';
+
+            // Local transactions CRA may be missing (CRA shows less than recorded here)
+            const suspects = [
+                ...(contributionDiff < 0 ? findSuspects(group.txs.filter(tx => tx.type !== 'WITHDRAWAL'), -contributionDiff) : []),
+                ...(withdrawalDiff < 0 ? findSuspects(group.txs.filter(tx => tx.type === 'WITHDRAWAL'), -withdrawalDiff) : [])
+            ];
+
+            items.push({
+                year: row.year, institution: row.institution, status,
+                local: { contributions: group.contributions / 100, withdrawals: group.withdrawals / 100, txs: group.txs },
+                cra: row,
+                contributionDiff: contributionDiff / 100,
+                withdrawalDiff: withdrawalDiff / 100,
+                suspects
+            });
+        });
+
+        local.forEach((group, key) => {
+            if (seen.has(key) || !craYears.has(group.year)) return;
+            items.push({
+                year: group.year, institution: group.institution, status: 'missing',
+                local: { contributions: group.contributions / 100, withdrawals: group.withdrawals / 100, txs: group.txs },
+                cra: null,
+                contributionDiff: (0 - group.contributions) / 100,
+                withdrawalDiff: (0 - group.withdrawals) / 100,
+                suspects: group.txs
+            });
+        });
+
+        items.sort((a, b) => a.year - b.year || a.institution.localeCompare(b.institution));
+
+        const room = craRoom.map(row => {
+            const computed = computedRoom(row.year);
+            return {
+                year: row.year,
+                cra: row.room,
+                computed: computed,
+                difference: computed === null ? null : (cents(row.room) - cents(computed)) / 100
+            };
+        });
+
+        return { items, room };
+    }
+
+    return {
+        parseCraRoom,
+        parseCraSummary,
+        institutionKey,
+        reconcileWithCra
+    };
+});
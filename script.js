@@ -3,26 +3,80 @@
  */
 
 // --- Constants & Types ---
-const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Engine (engine.js), CSV parsing (csv.js) and translations (i18n.js) are loaded
+// first and provide calculatePenalty, ANNUAL_LIMITS, readCsv, translate etc. as globals.
+
+// Display metadata per transaction type
+const TX_TYPES = {
+    CONTRIBUTION: { label: 'Contribution', sign: '+', badge: 'bg-emerald-100 text-emerald-600', amount: 'text-slate-900' },
+    WITHDRAWAL: { label: 'Withdrawal', sign: '-', badge: 'bg-amber-100 text-amber-600', amount: 'text-slate-500' },
+    TRANSFER: { label: 'Transfer', sign: '⇄', badge: 'bg-sky-100 text-sky-600', amount: 'text-slate-400' },
+    EXEMPT_CONTRIBUTION: { label: 'Exempt Contribution', sign: '+', badge: 'bg-violet-100 text-violet-600', amount: 'text-slate-900' }
+};
 let transactions = [];
+let residencyPeriods = [];
+let schedules = []; // Recurring contributions/withdrawals, expanded when calculating
+let editingTxId = null; // Transaction shown as an inline editor in the list
+let selectedTxIds = new Set(); // Transactions ticked for bulk actions
 let chartInstance = null;
+let chartView = 'daily'; // 'daily' line chart or 'monthly' bars
+let chartMonth = ''; // Month index the daily chart is zoomed into, '' for the whole year
 
 // --- DOM Elements ---
 const inputs = {
+    mode: document.getElementById('calcMode'),
+    firstYear: document.getElementById('firstYear'),
     year: document.getElementById('calcYear'),
     startRoom: document.getElementById('startRoom'),
     txDate: document.getElementById('txDate'),
     txInstitution: document.getElementById('txInstitution'),
+    txToInstitution: document.getElementById('txToInstitution'),
+    txDeathDate: document.getElementById('txDeathDate'),
+    txDesignationDate: document.getElementById('txDesignationDate'),
     txType: document.getElementById('txType'),
     txAmount: document.getElementById('txAmount'),
+    txNote: document.getElementById('txNote'),
     addTxBtn: document.getElementById('addTxBtn'),
     addTxError: document.getElementById('addTxError'),
+    profileBirthDate: document.getElementById('profileBirthDate'),
+    profileResidentSince: document.getElementById('profileResidentSince'),
+    profileCraRoom: document.getElementById('profileCraRoom'),
+    applyProfileBtn: document.getElementById('applyProfileBtn'),
+    emigrationDate: document.getElementById('emigrationDate'),
+    immigrationDate: document.getElementById('immigrationDate'),
+    addResidencyBtn: document.getElementById('addResidencyBtn'),
+    cpiRate: document.getElementById('cpiRate'),
+    compareInflation: document.getElementById('compareInflation'),
     txList: document.getElementById('txList'),
-    txCount: document.getElementById('txCount')
+    txCount: document.getElementById('txCount'),
+    txInstitutionFilter: document.getElementById('txInstitutionFilter'),
+    txFilterSummary: document.getElementById('txFilterSummary'),
+    txSearch: document.getElementById('txSearch'),
+    txTypeFilter: document.getElementById('txTypeFilter'),
+    txDateFrom: document.getElementById('txDateFrom'),
+    txDateTo: document.getElementById('txDateTo'),
+    txAmountMin: document.getElementById('txAmountMin'),
+    txAmountMax: document.getElementById('txAmountMax'),
+    txSelectAll: document.getElementById('txSelectAll'),
+    txBulkInstitution: document.getElementById('txBulkInstitution'),
+    scheduleType: document.getElementById('scheduleType'),
+    scheduleFrequency: document.getElementById('scheduleFrequency'),
+    scheduleInstitution: document.getElementById('scheduleInstitution'),
+    scheduleAmount: document.getElementById('scheduleAmount'),
+    scheduleStart: document.getElementById('scheduleStart'),
+    scheduleEnd: document.getElementById('scheduleEnd'),
+    addScheduleBtn: document.getElementById('addScheduleBtn'),
+    craRoom: document.getElementById('craRoomInput'),
+    craSummary: document.getElementById('craSummaryInput'),
+    waiverName: document.getElementById('waiverName'),
+    waiverAwareDate: document.getElementById('waiverAwareDate'),
+    waiverExplanation: document.getElementById('waiverExplanation'),
+    waiverLetter: document.getElementById('waiverLetter')
 };
 
 const outputs = {
     totalPenalty: document.getElementById('totalPenalty'),
+    nonResidentTax: document.getElementById('nonResidentTax'),
     peakExcess: document.getElementById('peakExcess'),
     monthsAffected: document.getElementById('monthsAffected'),
     remainingRoom: document.getElementById('remainingRoom'), // New UI element
@@ -32,40 +86,183 @@ const outputs = {
     monthlyTableBody: document.getElementById('monthlyTableBody'),
     tableMaxExcess: document.getElementById('tableMaxExcess'),
     tableTotalPenalty: document.getElementById('tableTotalPenalty'),
-    chartCanvas: document.getElementById('balanceChart')
+    tableNonResidentTax: document.getElementById('tableNonResidentTax'),
+    ledgerSection: document.getElementById('ledgerSection'),
+    ledgerTableBody: document.getElementById('ledgerTableBody'),
+    ledgerTotalPenalty: document.getElementById('ledgerTotalPenalty'),
+    institutionTableBody: document.getElementById('institutionTableBody'),
+    chartCanvas: document.getElementById('balanceChart'),
+    chartCaption: document.getElementById('chartCaption'),
+    chartMonth: document.getElementById('chartMonth')
 };
 
+// Chart colours per institution, in order of first appearance; excess carried
+// in from earlier years is always grey
+const INSTITUTION_COLORS = ['#D32F2F', '#2563eb', '#059669', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+const CARRIED_EXCESS_COLOR = '#94a3b8';
+
+// --- Language ---
+// Text is written in English and looked up in i18n.js. The choice is stored
+// apart from the scenarios, so it applies to all of them.
+const LANGUAGE_STORAGE_KEY = 'tfsa-calculator-language';
+let language = loadLanguage();
+
+function loadLanguage() {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (saved && LANGUAGES[saved]) return saved;
+    } catch (e) {
+        // Storage unavailable: fall back to the browser's language
+    }
+    return (navigator.language || '').toLowerCase().startsWith('fr') ? 'fr' : 'en';
+}
+
+function t(text, params) {
+    return translate(language, text, params);
+}
+
+function getLocale() {
+    return LANGUAGES[language].locale;
+}
+
+function monthName(index) {
+    return MONTH_NAMES[language][index];
+}
+
+// "June 30, 2026" or "30 juin 2026"
+function formatLongDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// English text of the static page (text nodes, placeholders and titles), kept
+// so it can be translated again after each switch
+const pageText = new WeakMap();
+const pageTitle = document.title;
+
+function translatePage() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (['SCRIPT', 'STYLE', 'TEXTAREA'].includes(node.parentNode.nodeName) || !node.nodeValue.trim()) continue;
+        if (!pageText.has(node)) pageText.set(node, node.nodeValue);
+        // Whitespace around the text is kept; inside it, runs collapse as they display
+        const [, before, text, after] = pageText.get(node).match(/^(\s*)([\s\S]*?)(\s*)$/);
+        node.nodeValue = before + t(text.replace(/\s+/g, ' ')) + after;
+    }
+    document.querySelectorAll('[placeholder], [title]').forEach(el => {
+        if (!pageText.has(el)) pageText.set(el, { placeholder: el.getAttribute('placeholder'), title: el.getAttribute('title') });
+        const original = pageText.get(el);
+        ['placeholder', 'title'].forEach(attr => {
+            if (original[attr] !== null) el.setAttribute(attr, t(original[attr]));
+        });
+    });
+    document.title = t(pageTitle);
+}
+
+function applyPageLanguage() {
+    document.documentElement.lang = language;
+    document.getElementById('languageSelect').value = language;
+    translatePage();
+}
+
+function renderChartMonthOptions() {
+    const select = outputs.chartMonth;
+    while (select.options.length > 1) select.remove(1); // Keeps "Whole year"
+    MONTH_NAMES[language].forEach((m, i) => select.add(new Option(m, i)));
+    select.value = chartMonth;
+}
+
+// Switches the language and redraws everything built from code
+function setLanguage(value) {
+    language = LANGUAGES[value] ? value : 'en';
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        // Applies to this visit only
+    }
+    applyPageLanguage();
+
+    const year = inputs.year.value;
+    const firstYear = inputs.firstYear.value;
+    populateYearOptions();
+    inputs.year.value = year;
+    inputs.firstYear.value = firstYear;
+    renderChartMonthOptions();
+
+    const checkedReasons = WAIVER_REASONS.filter(r => document.getElementById(`waiverReason-${r.id}`).checked);
+    renderWaiverReasonOptions();
+    checkedReasons.forEach(r => (document.getElementById(`waiverReason-${r.id}`).checked = true));
+
+    syncTxTypeFields();
+    renderTxList();
+    renderResidencyList();
+    renderUndoImport();
+    recalculateAll();
+}
+
 // --- Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
     // Set default date to today or start of selected year
     const today = new Date().toISOString().split('T')[0];
     inputs.txDate.value = today;
 
-    // Load from local storage if needed (Skipping for simple MVP to ensure fresh start)
+    populateYearOptions();
+    inputs.txToInstitution.innerHTML = inputs.txInstitution.innerHTML;
+    inputs.scheduleInstitution.innerHTML = inputs.txInstitution.innerHTML;
+    inputs.txBulkInstitution.innerHTML = inputs.txInstitution.innerHTML;
+    // After the copies above, so each keeps its English text to translate from
+    applyPageLanguage();
+    renderChartMonthOptions();
 
     // Attach Listeners
     inputs.addTxBtn.addEventListener('click', addTransaction);
+    inputs.txType.addEventListener('change', syncTxTypeFields);
+    inputs.mode.addEventListener('change', recalculateAll);
+    inputs.firstYear.addEventListener('change', recalculateAll);
     inputs.year.addEventListener('change', recalculateAll);
     inputs.startRoom.addEventListener('input', recalculateAll);
-
-    // Initial Render
-    recalculateAll();
+    inputs.profileBirthDate.addEventListener('input', recalculateAll);
+    inputs.profileResidentSince.addEventListener('input', recalculateAll);
+    inputs.profileCraRoom.addEventListener('input', recalculateAll);
+    inputs.cpiRate.addEventListener('input', recalculateAll);
+    inputs.compareInflation.addEventListener('change', recalculateAll);
+    inputs.craRoom.addEventListener('input', recalculateAll);
+    inputs.craSummary.addEventListener('input', recalculateAll);
+    renderWaiverReasonOptions();
+    [inputs.waiverName, inputs.waiverAwareDate, inputs.waiverExplanation, inputs.waiverLetter]
+        .forEach(el => el.addEventListener('input', saveState));
+    inputs.applyProfileBtn.addEventListener('click', applyProfileRoom);
+    inputs.addResidencyBtn.addEventListener('click', addResidencyPeriod);
+    inputs.addScheduleBtn.addEventListener('click', addSchedule);
+    [inputs.txSearch, inputs.txTypeFilter, inputs.txDateFrom, inputs.txDateTo, inputs.txAmountMin, inputs.txAmountMax]
+        .forEach(el => el.addEventListener('input', renderTxList));
+    inputs.txSelectAll.addEventListener('change', () => selectShownTransactions(inputs.txSelectAll.checked));
+
+    // Initial Render: restore the last active scenario from local storage
+    initScenarios();
 
     // CSV Listener
     document.getElementById('csvInput').addEventListener('change', handleCsvUpload);
+    document.getElementById('snapshotInput').addEventListener('change', handleSnapshotUpload);
+
+    // Share links open on load, or when pasted into a tab that's already open
+    openShareLink();
+    window.addEventListener('hashchange', openShareLink);
+
+    registerServiceWorker();
 });
 
 // --- CSV Import ---
 
+// The template comes in the current language; both layouts import
 function downloadTemplate() {
-    const csvContent = "Date,Type,Amount,Institution\n2024-01-15,Contribution,5000,RBC\n2024-06-20,Withdrawal,2000,Tangerine";
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = "tfsa_template.csv";
-    a.click();
-    window.URL.revokeObjectURL(url);
+    const columns = language === 'fr' ? TEMPLATE_PRESET_FR.columns : TEMPLATE_PRESET.columns;
+    const rows = [
+        TEMPLATE_COLUMNS.map(key => columns[key]),
+        ['2024-01-15', t('Contribution'), '5000', 'RBC'],
+        ['2024-06-20', t('Withdrawal'), '2000', 'Tangerine'],
+        ['2024-09-10', t('Transfer'), '3000', 'RBC', 'Questrade']
+    ];
+    downloadFile(language === 'fr' ? 'modele_celi.csv' : 'tfsa_template.csv', toCsv(rows), 'text/csv');
 }
 
 function handleCsvUpload(event) {
@@ -85,426 +282,2401 @@ function handleCsvUpload(event) {
     reader.readAsText(file);
 }
 
+const PRESETS_STORAGE_KEY = 'tfsa-import-presets';
+
+// File waiting for its columns to be mapped: { header, rows, firstLine }
+let pendingCsv = null;
+
 function processCsvData(text, errorEl) {
-    const lines = text.split('\n');
-    let addedCount = 0;
-    let errors = [];
+    pendingCsv = readCsv(text);
+    if (!pendingCsv) {
+        errorEl.textContent = t('No valid transactions found in CSV. Check format.');
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    const preset = detectPreset(pendingCsv.header, [...loadSavedPresets(), TEMPLATE_PRESET, TEMPLATE_PRESET_FR]);
+    if (preset) {
+        openImportPreview(preset);
+    } else {
+        openCsvMapper();
+    }
+}
+
+// --- Import Preview ---
+
+// Rows awaiting confirmation: { presetName, rows: [{ line, draft, tx, error, duplicate, excluded }], ignoredCount }
+let pendingImport = null;
+// Batch id of the last committed import, for undo
+let lastImportBatch = null;
+
+function openImportPreview(preset) {
+    const results = mapCsvRows(pendingCsv, preset);
+    const rows = results.filter(r => !r.ignored);
+    rows.forEach(r => {
+        r.duplicate = r.tx ? isDuplicateTransaction(r.tx, getAllTransactions()) : false;
+        r.excluded = r.duplicate; // Likely re-imports start excluded
+    });
+
+    pendingImport = {
+        preset: preset,
+        rows: rows,
+        ignoredCount: results.length - rows.length
+    };
+    closeCsvMapper();
+    renderImportPreview();
+    document.getElementById('importPreviewModal').classList.remove('hidden');
+}
+
+function closeImportPreview() {
+    pendingImport = null;
+    pendingCsv = null;
+    document.getElementById('importPreviewModal').classList.add('hidden');
+}
+
+function changeImportMapping() {
+    const preset = pendingImport.preset;
+    pendingImport = null;
+    document.getElementById('importPreviewModal').classList.add('hidden');
+    openCsvMapper(preset);
+}
+
+function renderImportPreview() {
+    const tbody = document.getElementById('importPreviewBody');
+    tbody.innerHTML = '';
+    document.getElementById('importPresetName').textContent = t(pendingImport.preset.name);
+
+    pendingImport.rows.forEach((row, idx) => {
+        const tr = document.createElement('tr');
+        tr.dataset.index = idx;
+        const cellInput = (field, width) => `<input data-field="${field}" value="${escapeHtml(row.draft[field] || '')}" class="${width} text-xs rounded border-slate-300 py-0.5 px-1 border">`;
+        tr.innerHTML = `
+            <td class="px-2 py-1 text-center"><input type="checkbox" data-field="include"></td>
+            <td class="px-2 py-1 text-slate-400">${row.line}</td>
+            <td class="px-2 py-1">${cellInput('date', 'w-24')}</td>
+            <td class="px-2 py-1">
+                <select data-field="type" class="text-xs rounded border-slate-300 py-0.5 px-1 border">
+                    <option value="">—</option>
+                    ${Object.keys(TX_TYPES).map(type => `<option value="${type}">${t(TX_TYPES[type].label)}</option>`).join('')}
+                </select>
+            </td>
+            <td class="px-2 py-1">${cellInput('amount', 'w-20 text-right')}</td>
+            <td class="px-2 py-1">${cellInput('institution', 'w-24')}</td>
+            <td class="px-2 py-1">${cellInput('toInstitution', 'w-24')}</td>
+            <td class="px-2 py-1 text-xs" data-field="status"></td>
+        `;
+        tr.querySelector('select').value = row.draft.type;
+        tr.querySelectorAll('input[data-field], select[data-field]').forEach(el => {
+            el.addEventListener(el.type === 'checkbox' ? 'change' : 'input', () => onImportRowEdit(idx, el));
+        });
+        tbody.appendChild(tr);
+        updateImportRow(idx);
+    });
+
+    renderImportSummary();
+}
+
+function onImportRowEdit(idx, el) {
+    const row = pendingImport.rows[idx];
+    const field = el.dataset.field;
+
+    if (field === 'include') {
+        row.excluded = !el.checked;
+    } else {
+        row.draft[field] = el.value;
+        const checked = checkImportDraft(row.draft);
+        row.tx = checked.tx || null;
+        row.error = checked.error || null;
+        row.duplicate = row.tx ? isDuplicateTransaction(row.tx, getAllTransactions()) : false;
+    }
+
+    updateImportRow(idx);
+    renderImportSummary();
+}
+
+function updateImportRow(idx) {
+    const row = pendingImport.rows[idx];
+    const tr = document.querySelector(`#importPreviewBody tr[data-index="${idx}"]`);
+    const checkbox = tr.querySelector('input[data-field="include"]');
+    const status = tr.querySelector('[data-field="status"]');
+
+    checkbox.disabled = !!row.error;
+    checkbox.checked = !row.error && !row.excluded;
+
+    if (row.error) {
+        tr.className = 'bg-red-50/50';
+        status.innerHTML = `<span class="text-red-700">${escapeHtml(translateMessage(language, row.error))}</span>`;
+    } else if (row.duplicate) {
+        tr.className = 'bg-amber-50/50';
+        status.innerHTML = `<span class="text-amber-700">${t('Possible duplicate')}</span>`;
+    } else {
+        tr.className = row.excluded ? 'opacity-50' : '';
+        status.innerHTML = `<span class="text-emerald-700">${t('OK')}</span>`;
+    }
+}
+
+function getIncludedImportTxs() {
+    return pendingImport.rows.filter(r => r.tx && !r.excluded).map(r => r.tx);
+}
+
+// Shows the dashboard totals with and without the rows about to be imported
+function renderImportSummary() {
+    const rows = pendingImport.rows;
+    const included = getIncludedImportTxs();
+    const before = computeResults(transactions);
+    const after = computeResults([...transactions, ...included]);
+
+    const duplicates = rows.filter(r => r.duplicate).length;
+    const ignored = pendingImport.ignoredCount;
+    const counts = [
+        t('{count} to import', { count: included.length }),
+        t('{count} with errors', { count: rows.filter(r => r.error).length }),
+        t(duplicates === 1 ? '{count} possible duplicate' : '{count} possible duplicates', { count: duplicates })
+    ];
+    if (ignored > 0) counts.push(t(ignored === 1 ? '{count} row ignored' : '{count} rows ignored', { count: ignored }));
+    document.getElementById('importCounts').textContent = counts.join(' · ');
+
+    const change = (a, b) => `${formatCurrency(a)} → <strong class="${b > a ? 'text-red-700' : 'text-slate-900'}">${formatCurrency(b)}</strong>`;
+    document.getElementById('importImpact').innerHTML = `
+        <div>${t('Estimated Penalty:')} ${change(before.totalPenalty, after.totalPenalty)}</div>
+        <div>${t("Next Year's Room:")} ${formatCurrency(before.result.nextYearLimit)} → <strong>${formatCurrency(after.result.nextYearLimit)}</strong></div>
+    `;
+    document.getElementById('confirmImportBtn').textContent = t(included.length === 1 ? 'Import {count} Row' : 'Import {count} Rows', { count: included.length });
+    document.getElementById('confirmImportBtn').disabled = included.length === 0;
+}
+
+function confirmImport() {
+    const batchId = Date.now();
+    const included = getIncludedImportTxs();
+    included.forEach(tx => transactions.push({ ...tx, batchId }));
+
+    lastImportBatch = included.length > 0 ? batchId : lastImportBatch;
+    closeImportPreview();
+    renderUndoImport();
+    renderTxList();
+    recalculateAll();
+}
+
+function undoLastImport() {
+    transactions = transactions.filter(t => t.batchId !== lastImportBatch);
+    lastImportBatch = null;
+    renderUndoImport();
+    renderTxList();
+    recalculateAll();
+}
+
+function renderUndoImport() {
+    const btn = document.getElementById('undoImportBtn');
+    const count = transactions.filter(t => lastImportBatch && t.batchId === lastImportBatch).length;
+    btn.textContent = t(count === 1 ? 'Undo last import ({count} item)' : 'Undo last import ({count} items)', { count });
+    btn.classList.toggle('hidden', count === 0);
+}
+
+// --- Import Presets ---
+
+function loadSavedPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function savePreset(preset) {
+    const presets = loadSavedPresets().filter(p => p.name !== preset.name);
+    presets.push(preset);
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function deletePreset(name) {
+    const presets = loadSavedPresets().filter(p => p.name !== name);
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// --- Column Mapper ---
+
+function openCsvMapper(preset) {
+    const mapper = document.getElementById('csvMapper');
+    const header = pendingCsv.header;
+
+    document.getElementById('csvHeaderPreview').textContent = t('Columns: {columns}', { columns: header.join(' | ') });
+
+    const fieldsEl = document.getElementById('csvColumnFields');
+    fieldsEl.innerHTML = '';
+    CSV_FIELDS.forEach(f => {
+        const wrap = document.createElement('div');
+        wrap.innerHTML = `
+            <label class="block text-[11px] font-medium text-slate-500 mb-0.5">${t(f.label)}${f.required ? ' *' : ''}</label>
+            <select data-field="${f.key}" class="w-full text-xs rounded border-slate-300 py-1 px-1.5 border">
+                <option value="">${t('— None —')}</option>
+                ${header.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('')}
+            </select>
+        `;
+        const select = wrap.querySelector('select');
+        select.value = guessColumn(f.key, header, preset);
+        select.addEventListener('change', () => renderCsvTypeMap());
+        fieldsEl.appendChild(wrap);
+    });
+
+    document.getElementById('csvDefaultInstitution').value = preset ? preset.defaultInstitution || '' : '';
+    document.getElementById('csvPresetName').value = preset && preset !== TEMPLATE_PRESET && preset !== TEMPLATE_PRESET_FR ? preset.name : '';
+    renderPresetSelect();
+    renderCsvTypeMap(preset ? preset.typeMap : {});
+    mapper.classList.remove('hidden');
+}
+
+function closeCsvMapper() {
+    document.getElementById('csvMapper').classList.add('hidden');
+}
+
+function cancelCsvMapper() {
+    pendingCsv = null;
+    closeCsvMapper();
+}
+
+// Pre-selects a column from the preset, or by a matching header name
+function guessColumn(key, header, preset) {
+    if (preset && preset.columns[key]) {
+        const match = header.find(h => normalizeHeader(h) === normalizeHeader(preset.columns[key]));
+        if (match) return match;
+    }
+    const hints = {
+        date: ['date'],
+        type: ['type', 'action', 'activity', 'activité', 'opération'],
+        amount: ['amount', 'net amount', 'value', 'montant', 'montant net', 'valeur'],
+        description: ['description', 'details', 'memo', 'détails', 'libellé'],
+        account: ['institution', 'account', 'compte'],
+        toAccount: ['to institution', 'to account', 'institution destinataire', 'compte destinataire'],
+        note: ['note', 'notes', 'remarque'],
+        deathDate: ['date of death', 'date du décès'],
+        designationDate: ['designation date', 'date de désignation']
+    };
+    return header.find(h => hints[key].includes(normalizeHeader(h))) || '';
+}
+
+function getMapperColumns() {
+    const columns = {};
+    document.querySelectorAll('#csvColumnFields select').forEach(select => {
+        if (select.value) columns[select.dataset.field] = select.value;
+    });
+    return columns;
+}
+
+// Lists each distinct type text in the file so it can be mapped to a transaction type
+function renderCsvTypeMap(typeMap) {
+    const current = typeMap || getMapperTypeMap();
+    const columns = getMapperColumns();
+    const source = columns.type || columns.description;
+    const container = document.getElementById('csvTypeMap');
+    container.innerHTML = '';
+
+    if (!source) {
+        container.innerHTML = `<p class="text-[11px] text-slate-400 italic">${t('No type or description column: negative amounts import as withdrawals, the rest as contributions.')}</p>`;
+        return;
+    }
+
+    const idx = pendingCsv.header.indexOf(source);
+    const values = [...new Set(pendingCsv.rows.map(cols => (cols[idx] || '').trim().toLowerCase()).filter(v => v))];
+
+    values.forEach(value => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2';
+        row.innerHTML = `
+            <span class="flex-1 text-[11px] font-mono text-slate-600 truncate" title="${escapeHtml(value)}">${escapeHtml(value)}</span>
+            <select data-value="${escapeHtml(value)}" class="text-xs rounded border-slate-300 py-0.5 px-1 border">
+                ${Object.keys(TX_TYPES).map(type => `<option value="${type}">${t(TX_TYPES[type].label)}</option>`).join('')}
+                <option value="IGNORE">${t('Ignore')}</option>
+            </select>
+        `;
+        row.querySelector('select').value = current[value] || guessTxType(value);
+        container.appendChild(row);
+    });
+}
+
+function getMapperTypeMap() {
+    const typeMap = {};
+    document.querySelectorAll('#csvTypeMap select').forEach(select => {
+        typeMap[select.dataset.value] = select.value;
+    });
+    return typeMap;
+}
+
+function renderPresetSelect() {
+    const select = document.getElementById('csvPresetSelect');
+    select.innerHTML = `<option value="">${t('Load preset…')}</option>`;
+    loadSavedPresets().forEach(p => select.add(new Option(p.name, p.name)));
+}
+
+function loadPresetIntoMapper() {
+    const name = document.getElementById('csvPresetSelect').value;
+    const preset = loadSavedPresets().find(p => p.name === name);
+    if (preset) openCsvMapper(preset);
+}
+
+function deleteSelectedPreset() {
+    const name = document.getElementById('csvPresetSelect').value;
+    if (!name) return;
+    deletePreset(name);
+    renderPresetSelect();
+}
+
+function confirmCsvMapper() {
+    const mapperError = document.getElementById('csvMapperError');
+    mapperError.classList.add('hidden');
+
+    const columns = getMapperColumns();
+    const missing = CSV_FIELDS.filter(f => f.required && !columns[f.key]);
+    if (missing.length > 0) {
+        mapperError.textContent = t('Please map: {fields}.', { fields: missing.map(f => t(f.label)).join(', ') });
+        mapperError.classList.remove('hidden');
+        return;
+    }
+
+    const name = document.getElementById('csvPresetName').value.trim();
+    const preset = {
+        name: name || t('Custom mapping'),
+        signature: pendingCsv.header.map(normalizeHeader),
+        columns: columns,
+        typeMap: getMapperTypeMap(),
+        defaultInstitution: document.getElementById('csvDefaultInstitution').value.trim()
+    };
+    if (name) savePreset(preset);
+
+    openImportPreview(preset);
+}
+
+// --- Persistence & Scenarios ---
+
+const STORAGE_KEY = 'tfsa-calculator';
+const STORAGE_VERSION = 2;
+
+// Upgrades stored data one version at a time. When the format changes, bump
+// STORAGE_VERSION and add a step keyed by the old version, e.g.
+// 1: data => ({ ...data, version: 2, scenarios: data.scenarios.map(...) })
+const STORAGE_MIGRATIONS = {
+    // Household members (scenario ids) were added
+    1: data => ({ ...data, version: 2, household: [] })
+};
+
+// { version, activeId, scenarios: [{ id, name, state }], household: [scenario id] }
+let store = null;
+
+function getDefaultState() {
+    return {
+        mode: 'single',
+        firstYear: '2009',
+        year: String(Math.max(...Object.keys(ANNUAL_LIMITS).map(Number))),
+        startRoom: '6000',
+        transactions: [],
+        residencyPeriods: [],
+        schedules: [],
+        profile: { birthDate: '', residentSince: '', craPriorRoom: '' },
+        limits: { cpiRate: String(DEFAULT_CPI_RATE * 100), compare: false },
+        cra: { room: '', summary: '' },
+        waiver: { name: '', awareDate: '', reasons: [], explanation: '', letter: '' }
+    };
+}
+
+function getState() {
+    return {
+        mode: inputs.mode.value,
+        firstYear: inputs.firstYear.value,
+        year: inputs.year.value,
+        startRoom: inputs.startRoom.value,
+        transactions: transactions,
+        residencyPeriods: residencyPeriods,
+        schedules: schedules,
+        profile: {
+            birthDate: inputs.profileBirthDate.value,
+            residentSince: inputs.profileResidentSince.value,
+            craPriorRoom: inputs.profileCraRoom.value
+        },
+        limits: {
+            cpiRate: inputs.cpiRate.value,
+            compare: inputs.compareInflation.checked
+        },
+        // Pasted My Account text, kept as typed
+        cra: {
+            room: inputs.craRoom.value,
+            summary: inputs.craSummary.value
+        },
+        waiver: {
+            name: inputs.waiverName.value,
+            awareDate: inputs.waiverAwareDate.value,
+            reasons: WAIVER_REASONS.filter(r => document.getElementById(`waiverReason-${r.id}`).checked).map(r => r.id),
+            explanation: inputs.waiverExplanation.value,
+            letter: inputs.waiverLetter.value
+        }
+    };
+}
+
+// Missing fields fall back to defaults so partial or older states still load
+function applyState(state) {
+    const s = { ...getDefaultState(), ...state };
+    const profile = { ...getDefaultState().profile, ...s.profile };
+    const limits = { ...getDefaultState().limits, ...s.limits };
+    const cra = { ...getDefaultState().cra, ...s.cra };
+    const waiver = { ...getDefaultState().waiver, ...s.waiver };
+
+    inputs.mode.value = s.mode;
+    inputs.firstYear.value = s.firstYear;
+    inputs.year.value = s.year;
+    inputs.startRoom.value = s.startRoom;
+    inputs.profileBirthDate.value = profile.birthDate;
+    inputs.profileResidentSince.value = profile.residentSince;
+    inputs.profileCraRoom.value = profile.craPriorRoom;
+    inputs.cpiRate.value = limits.cpiRate;
+    inputs.compareInflation.checked = limits.compare;
+    inputs.craRoom.value = cra.room;
+    inputs.craSummary.value = cra.summary;
+    inputs.waiverName.value = waiver.name;
+    inputs.waiverAwareDate.value = waiver.awareDate;
+    inputs.waiverExplanation.value = waiver.explanation;
+    inputs.waiverLetter.value = waiver.letter;
+    WAIVER_REASONS.forEach(r => {
+        document.getElementById(`waiverReason-${r.id}`).checked = waiver.reasons.includes(r.id);
+    });
+    document.getElementById('waiverLetterSection').classList.toggle('hidden', !waiver.letter);
+    transactions = s.transactions.map(t => ({ ...t }));
+    residencyPeriods = s.residencyPeriods.map(p => ({ ...p }));
+    schedules = s.schedules.map(sch => ({ ...sch }));
+    lastImportBatch = null;
+    editingTxId = null;
+    selectedTxIds.clear();
+
+    renderUndoImport();
+    renderResidencyList();
+    renderTxList();
+    recalculateAll();
+}
 
-    // Skip header if present
-    let startIndex = 0;
-    if (lines[0].toLowerCase().includes('date')) {
-        startIndex = 1;
+function migrateStore(data) {
+    let migrated = data;
+    while (migrated.version < STORAGE_VERSION) {
+        migrated = STORAGE_MIGRATIONS[migrated.version](migrated);
+    }
+    return migrated;
+}
+
+// Saved data loadStore couldn't read, offered as a download once the page is up
+let unreadableStore = null;
+
+function loadStore() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+        const data = JSON.parse(raw);
+        if (data && data.scenarios && data.scenarios.length > 0) {
+            return migrateStore(data);
+        }
+    } catch (e) {
+        // Unreadable data: start over rather than block the app
+    }
+
+    // Keep a copy before the fresh store is saved over it
+    if (raw) {
+        unreadableStore = raw;
+        try {
+            localStorage.setItem(`${STORAGE_KEY}.corrupt`, raw);
+        } catch (e) {
+            // Storage full: the download offered below is the only copy
+        }
     }
 
-    // Regex for splitting CSV lines while respecting quotes
-    // Matches: "quoted, string" OR unquoted_string
-    const csvSplitRegex = /,(?=(?:(?:[^"]*"){2})*[^"]*$)/;
+    const id = Date.now();
+    return {
+        version: STORAGE_VERSION,
+        activeId: id,
+        scenarios: [{ id, name: t('My Scenario'), state: getDefaultState() }],
+        household: []
+    };
+}
+
+function getActiveScenario() {
+    return store.scenarios.find(s => s.id === store.activeId);
+}
 
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+// Autosave: called after every recalculation
+function saveState() {
+    if (!store) return;
+    getActiveScenario().state = getState();
+    writeStore();
+}
 
-        const cols = line.split(csvSplitRegex).map(c => c.trim().replace(/^"|"$/g, ''));
+function writeStore() {
+    const statusEl = document.getElementById('saveStatus');
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        statusEl.textContent = t('Saved in this browser');
+    } catch (e) {
+        statusEl.textContent = t('Not saved: browser storage unavailable');
+    }
+}
 
-        if (cols.length < 3) {
-            errors.push(`Line ${i + 1}: Invalid format`);
-            continue;
+function initScenarios() {
+    store = loadStore();
+    renderScenarioSelect();
+    applyState(getActiveScenario().state);
+    writeStore();
+
+    if (unreadableStore !== null) {
+        const raw = unreadableStore;
+        unreadableStore = null;
+        if (confirm(t('Your saved scenarios could not be read, so the calculator started over. A copy was kept in this browser. Download it now?'))) {
+            downloadFile('tfsa-calculator-unreadable-data.json', raw, 'application/json');
         }
+    }
+}
+
+function renderScenarioSelect() {
+    const select = document.getElementById('scenarioSelect');
+    select.innerHTML = '';
+    store.scenarios.forEach(s => select.add(new Option(s.name, s.id)));
+    select.value = store.activeId;
+}
+
+function switchScenario(id) {
+    saveState();
+    store.activeId = parseInt(id);
+    renderScenarioSelect();
+    applyState(getActiveScenario().state);
+}
+
+function addScenario(name, state) {
+    saveState();
+    const scenario = { id: Date.now(), name: name, state: state };
+    store.scenarios.push(scenario);
+    store.activeId = scenario.id;
+    renderScenarioSelect();
+    applyState(scenario.state);
+}
 
-        let [dateRaw, typeRaw, amountRaw, institution] = cols;
+function newScenario() {
+    const name = prompt(t('Name for the new scenario:'), t('Scenario {number}', { number: store.scenarios.length + 1 }));
+    if (!name) return;
+    addScenario(name.trim(), getDefaultState());
+}
+
+function duplicateScenario() {
+    const name = prompt(t('Name for the copy:'), t('{name} (copy)', { name: getActiveScenario().name }));
+    if (!name) return;
+    addScenario(name.trim(), JSON.parse(JSON.stringify(getState())));
+}
+
+function renameScenario() {
+    const scenario = getActiveScenario();
+    const name = prompt(t('Rename scenario:'), scenario.name);
+    if (!name) return;
+    scenario.name = name.trim();
+    renderScenarioSelect();
+    renderHousehold();
+    writeStore();
+}
+
+function deleteScenario() {
+    const scenario = getActiveScenario();
+    if (store.scenarios.length === 1) {
+        alert(t('At least one scenario is needed.'));
+        return;
+    }
+    if (!confirm(t('Delete "{name}" and all of its transactions?', { name: scenario.name }))) return;
+
+    store.scenarios = store.scenarios.filter(s => s.id !== scenario.id);
+    store.household = store.household.filter(id => id !== scenario.id);
+    store.activeId = store.scenarios[0].id;
+    renderScenarioSelect();
+    applyState(getActiveScenario().state);
+}
+
+// --- Household ---
+
+/**
+ * Runs a scenario's own setup for one year without touching the form.
+ * Single-year scenarios are carried forward from their year like a ledger;
+ * returns null if the scenario starts after the year.
+ */
+function computeScenarioYear(state, year) {
+    const s = { ...getDefaultState(), ...state };
+    const firstYear = parseInt(s.mode === 'ledger' ? s.firstYear : s.year);
+    if (year < firstYear) return null;
+
+    const cpiPercent = parseFloat({ ...getDefaultState().limits, ...s.limits }.cpiRate);
+    const options = {
+        residencyPeriods: s.residencyPeriods,
+        cpiRate: isNaN(cpiPercent) ? DEFAULT_CPI_RATE : Math.max(0, cpiPercent) / 100
+    };
+    const txs = [...s.transactions, ...s.schedules.flatMap(sch => expandSchedule(sch, `${year}-12-31`))];
+    const ledger = calculateLedger(firstYear, parseFloat(s.startRoom) || 0, txs, year, options);
+    return ledger.years[ledger.years.length - 1].result;
+}
 
-        // Normalize Type
-        let type = 'CONTRIBUTION';
-        if (typeRaw && typeRaw.toLowerCase().includes('withdraw')) {
-            type = 'WITHDRAWAL';
+function toggleHouseholdMember(id, included) {
+    store.household = store.household.filter(m => m !== id);
+    if (included) store.household.push(id);
+    renderHousehold();
+    writeStore();
+}
+
+// Household members side by side for the year shown, using the live form for the active scenario
+function renderHousehold() {
+    if (!store) return;
+    const year = parseInt(inputs.year.value);
+    document.getElementById('householdYearLabel').textContent = year;
+
+    const membersEl = document.getElementById('householdMembers');
+    membersEl.innerHTML = store.scenarios.map(s => `
+        <label class="flex items-center gap-2">
+            <input type="checkbox" class="rounded border-slate-300" onchange="toggleHouseholdMember(${s.id}, this.checked)"
+                ${store.household.includes(s.id) ? 'checked' : ''}>
+            ${escapeHtml(s.name)}
+        </label>
+    `).join('');
+
+    const rows = store.scenarios
+        .filter(s => store.household.includes(s.id))
+        .map(s => ({ scenario: s, result: computeScenarioYear(s.id === store.activeId ? getState() : s.state, year) }));
+    document.getElementById('householdResult').classList.toggle('hidden', rows.length === 0);
+    if (rows.length === 0) return;
+
+    const tbody = document.getElementById('householdTableBody');
+    tbody.innerHTML = '';
+    rows.forEach(({ scenario, result }) => {
+        const tr = document.createElement('tr');
+        const name = `<button onclick="switchScenario(${scenario.id})" class="font-medium text-indigo-700 hover:underline">${escapeHtml(scenario.name)}</button>`;
+        tr.innerHTML = result ? `
+            <td class="px-4 py-2">${name}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(result.remainingRoom)}</td>
+            <td class="px-4 py-2 text-right font-mono ${result.currentExcess > 0 ? 'text-red-700 font-semibold' : ''}">${formatCurrency(result.currentExcess)}</td>
+            <td class="px-4 py-2 text-right font-mono ${result.totalPenalty > 0 ? 'text-cra-red' : ''}">${formatCurrency(result.totalPenalty)}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(result.nextYearLimit)}</td>
+        ` : `
+            <td class="px-4 py-2">${name}</td>
+            <td colspan="4" class="px-4 py-2 text-right text-xs text-slate-400 italic">${t('Starts after {year}', { year })}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    const covered = rows.filter(r => r.result);
+    const sum = key => covered.reduce((total, r) => total + Math.round(r.result[key] * 100), 0) / 100;
+    document.getElementById('householdTableFoot').innerHTML = `
+        <tr>
+            <td class="px-4 py-2">${t('Household')}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(sum('remainingRoom'))}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(sum('currentExcess'))}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(sum('totalPenalty'))}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(sum('nextYearLimit'))}</td>
+        </tr>
+    `;
+
+    const summaryEl = document.getElementById('householdSummary');
+    const names = list => list.map(r => escapeHtml(r.scenario.name)).join(', ');
+    const inExcess = covered.filter(r => r.result.currentExcess > 0);
+    const withRoom = covered.filter(r => r.result.remainingRoom > 0);
+    const lines = [];
+    if (inExcess.length === 0) {
+        lines.push(t('No one is in excess at the end of {year}. Unused room across the household: {room}.', { year, room: `<strong>${formatCurrency(sum('remainingRoom'))}</strong>` }));
+    } else {
+        inExcess.forEach(r => lines.push(t('{name} is over by {excess} ({penalty} tax in {year}).', {
+            name: `<strong>${escapeHtml(r.scenario.name)}</strong>`,
+            excess: `<strong>${formatCurrency(r.result.currentExcess)}</strong>`,
+            penalty: formatCurrency(r.result.totalPenalty),
+            year
+        })));
+        if (withRoom.length > 0) {
+            const room = withRoom.reduce((total, r) => total + Math.round(r.result.remainingRoom * 100), 0) / 100;
+            const params = { names: names(withRoom), room: `<strong>${formatCurrency(room)}</strong>` };
+            lines.push((withRoom.length === 1 ? t('Meanwhile {names} still has {room} of unused room.', params) : t('Meanwhile {names} still have {room} of unused room.', params)) + ' ' +
+                t('Room can\'t be moved between holders, so the excess has to be withdrawn. The money can then be given to someone with room to put in their own TFSA; gifts like that aren\'t attributed back to the giver.'));
+        } else {
+            lines.push(t('No one else in the household has room left in {year}.', { year }));
         }
+    }
+    const notCovered = rows.filter(r => !r.result);
+    if (notCovered.length > 0) lines.push(`<span class="text-slate-500">${t('Not included: {names} (set up for later years).', { names: names(notCovered) })}</span>`);
+    summaryEl.className = `text-sm rounded-md p-3 space-y-1 ${inExcess.length > 0 ? 'bg-red-50 text-red-800' : 'bg-emerald-50 text-emerald-800'}`;
+    summaryEl.innerHTML = lines.map(l => `<p>${l}</p>`).join('');
+}
+
+// --- Exports ---
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    window.URL.revokeObjectURL(url);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// File names carry the scenario name so exports from different scenarios don't collide
+function getExportBaseName() {
+    const name = getActiveScenario().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `tfsa-${name || 'scenario'}`;
+}
+
+// Every column of the template preset, so the ledger can be imported again
+function exportLedgerCsv() {
+    const sorted = getAllTransactions().sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    const columns = language === 'fr' ? TEMPLATE_PRESET_FR.columns : TEMPLATE_PRESET.columns;
+    const rows = [Object.values(columns)];
+    sorted.forEach(tx => {
+        rows.push([tx.date, t(TX_TYPES[tx.type].label), tx.amount.toFixed(2), tx.institution, tx.toInstitution || '',
+            tx.description || '', tx.note || '', tx.deathDate || '', tx.designationDate || '']);
+    });
+    downloadFile(`${getExportBaseName()}-ledger.csv`, toCsv(rows), 'text/csv');
+}
+
+function exportMonthlyCsv() {
+    const year = inputs.year.value;
+    const { result } = computeResults(transactions);
+    const rows = [[t('Month'), t('Max Excess'), t('Penalty (1%)'), t('Non-Resident Contributions'), t('Non-Resident Tax (1%)'), t('Notes')]];
+    result.monthlyDetails.forEach((m, i) => {
+        rows.push([`${monthName(i)} ${year}`, m.maxExcess.toFixed(2), m.penalty.toFixed(2), m.maxNonResident.toFixed(2), m.nonResidentTax.toFixed(2), m.flags.map(f => translateMessage(language, f)).join('; ')]);
+    });
+    rows.push([t('Total'), result.peakExcess.toFixed(2), result.totalPenalty.toFixed(2), '', result.totalNonResidentTax.toFixed(2), '']);
+    downloadFile(`${getExportBaseName()}-monthly-${year}.csv`, toCsv(rows), 'text/csv');
+}
+
+// Full state of the active scenario; Import Snapshot turns it back into a scenario
+function exportJsonSnapshot() {
+    const snapshot = {
+        app: 'tfsa-calculator',
+        version: STORAGE_VERSION,
+        exportedAt: new Date().toISOString(),
+        scenario: { name: getActiveScenario().name, state: getState() }
+    };
+    downloadFile(`${getExportBaseName()}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+}
+
+/**
+ * Dates to keep in mind for the year shown: new room on Jan 1, withdrawals
+ * added back that same day, the RC243 deadline when tax is owing, a reminder
+ * to withdraw any excess before the next month starts, and every transaction
+ * dated after today (scheduled payments included). All are all-day events.
+ */
+function getCalendarEvents() {
+    const year = parseInt(inputs.year.value);
+    const { result } = computeResults(transactions);
+    const today = new Date().toISOString().split('T')[0];
+    const allTxs = getAllTransactions().sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    const nextJan1 = `${year + 1}-01-01`;
+    const amountLine = (label, amount) => t('{label}: {amount}', { label, amount: formatCurrency(amount) });
+    const events = [];
+
+    events.push({
+        uid: `room-${year + 1}`,
+        date: nextJan1,
+        summary: t('TFSA: {text}', { text: t('new contribution room for {year}', { year: year + 1 }) }),
+        description: [
+            amountLine(t('Room on Jan 1, {year}', { year: year + 1 }), result.nextYearLimit),
+            amountLine(t('Annual limit {year}', { year: year + 1 }), result.nextAnnualLimit) + (isProjectedLimit(year + 1) ? ` ${t('(projected)')}` : '')
+        ].join('\n')
+    });
+
+    const withdrawals = allTxs.filter(tx => tx.type === 'WITHDRAWAL' && tx.date.startsWith(`${year}-`));
+    if (withdrawals.length > 0) {
+        events.push({
+            uid: `withdrawals-${year}`,
+            date: nextJan1,
+            summary: t('TFSA: {text}', { text: t('{amount} withdrawn in {year} is added back to your room', { amount: formatCurrency(result.totalWithdrawals), year }) }),
+            description: [
+                t('Withdrawals only add room back on January 1 of the following year; re-contributing them sooner uses new room.'),
+                '',
+                ...withdrawals.map(tx => `${tx.date}: ${formatCurrency(tx.amount)} (${tx.institution})`)
+            ].join('\n')
+        });
+    }
+
+    const worksheet = buildRc243Worksheet(year, result);
+    if (worksheet.totalTax > 0) {
+        events.push({
+            uid: `rc243-${year}`,
+            date: worksheet.deadline,
+            summary: t('TFSA: {text}', { text: t('return (RC243) for {year} due', { year }) }),
+            description: [
+                t('Estimated tax owing: {amount}.', { amount: formatCurrency(worksheet.totalTax) }),
+                t('File the return and pay the tax by {date}.', { date: formatLongDate(worksheet.deadline) })
+            ].join('\n'),
+            alarm: 'P7D'
+        });
+    }
+
+    // In the current year the excess that matters is today's, not the projected
+    // year-end one; other years use the excess standing on Dec 31
+    const isCurrentYear = today.slice(0, 4) === String(year);
+    const standing = isCurrentYear ? balanceOn(result.timeline, today) : null;
+    const excess = isCurrentYear ? (standing ? standing.excess : 0) : result.currentExcess;
+    if (excess > 0) {
+        const [y, m] = (isCurrentYear ? today : `${year}-12-01`).split('-').map(Number);
+        const nextMonth = m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+        events.push({
+            uid: `excess-${nextMonth}`,
+            date: addDays(nextMonth, -1),
+            summary: t('TFSA: {text}', { text: t('withdraw the {amount} excess before {date}', { amount: formatCurrency(excess), date: formatLongDate(nextMonth) }) }),
+            description: t('Each month is taxed 1% on the highest excess held at any time in it. Withdrawing the excess before {date} keeps it out of that month.', { date: formatLongDate(nextMonth) }),
+            alarm: 'P3D'
+        });
+    }
+
+    allTxs.filter(tx => tx.date > today).forEach(tx => {
+        const params = { type: t(TX_TYPES[tx.type].label), amount: formatCurrency(tx.amount), institution: tx.institution, to: tx.toInstitution };
+        const text = tx.type === 'WITHDRAWAL' ? t('Withdrawal of {amount} from {institution}', params)
+            : tx.type === 'TRANSFER' ? t('Transfer of {amount} from {institution} to {to}', params)
+                : t('{type} of {amount} to {institution}', params);
+        events.push({
+            uid: `tx-${tx.id}`,
+            date: tx.date,
+            summary: t('TFSA: {text}', { text }),
+            description: [tx.scheduleId ? t('Recurring schedule payment') : '', tx.note || ''].filter(Boolean).join('\n')
+        });
+    });
+
+    return events;
+}
+
+// iCalendar text values escape backslashes, semicolons, commas and newlines
+function icsText(text) {
+    return String(text).replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// RFC 5545 calendar of all-day events, with CRLF line endings
+function toIcs(name, uidSuffix, events) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const icsDate = date => date.replace(/-/g, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//TFSA Penalty Calculator//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${icsText(name)}`];
+    events.forEach(e => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${e.uid}-${uidSuffix}@tfsa-penalty-calculator`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+            `DTEND;VALUE=DATE:${icsDate(addDays(e.date, 1))}`,
+            `SUMMARY:${icsText(e.summary)}`
+        );
+        if (e.description) lines.push(`DESCRIPTION:${icsText(e.description)}`);
+        lines.push('TRANSP:TRANSPARENT');
+        if (e.alarm) lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-${e.alarm}`, `DESCRIPTION:${icsText(e.summary)}`, 'END:VALARM');
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// UIDs carry the scenario id, so importing again updates events instead of duplicating them
+function exportCalendar() {
+    const scenario = getActiveScenario();
+    const ics = toIcs(t('TFSA: {text}', { text: scenario.name }), scenario.id, getCalendarEvents());
+    downloadFile(`${getExportBaseName()}-${inputs.year.value}.ics`, ics, 'text/calendar');
+}
+
+function handleSnapshotUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        importJsonSnapshot(e.target.result);
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Snapshots come from files and links anyone can write, so the state is
+ * rebuilt from the fields this calculator saves, each checked the way the
+ * forms check it. Missing fields get their defaults; anything else malformed
+ * throws.
+ */
+function normalizeSnapshotState(state) {
+    const fail = () => { throw new Error('Not a snapshot'); };
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const list = (value, toItem) => value === undefined ? [] : Array.isArray(value) ? value.map(item => toItem(isObject(item) ? item : fail())) : fail();
+    const id = value => Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fail();
+    const date = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? value : fail();
+    const optionalDate = value => value ? date(value) : '';
+    const amount = value => typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fail();
+    const text = value => typeof value === 'string' ? value : fail();
+    const optionalText = value => value === undefined || value === null ? '' : text(value);
+    const oneOf = (value, allowed) => allowed.includes(value) ? value : fail();
+    const numberText = value => value === undefined || value === '' ? '' : Number.isFinite(Number(value)) ? String(Number(value)) : fail();
+
+    if (!isObject(state)) fail();
+    const defaults = getDefaultState();
+    const s = { ...defaults, ...state };
+    const profile = isObject(s.profile) ? s.profile : defaults.profile;
+    const limits = isObject(s.limits) ? s.limits : defaults.limits;
+    const cra = isObject(s.cra) ? s.cra : defaults.cra;
+    const waiver = isObject(s.waiver) ? s.waiver : defaults.waiver;
+
+    return {
+        mode: oneOf(s.mode, ['single', 'ledger']),
+        firstYear: /^\d{4}$/.test(s.firstYear) ? String(s.firstYear) : fail(),
+        year: /^\d{4}$/.test(s.year) ? String(s.year) : fail(),
+        startRoom: numberText(s.startRoom),
+        transactions: list(s.transactions, tx => {
+            const clean = { id: id(tx.id), date: date(tx.date), type: oneOf(tx.type, TRANSACTION_TYPES), amount: amount(tx.amount), institution: text(tx.institution) };
+            if (clean.type === 'TRANSFER') clean.toInstitution = text(tx.toInstitution);
+            // Both dates are optional: CSV imports create exempt rows without them
+            if (clean.type === 'EXEMPT_CONTRIBUTION' && tx.deathDate) clean.deathDate = date(tx.deathDate);
+            if (clean.type === 'EXEMPT_CONTRIBUTION' && tx.designationDate) clean.designationDate = date(tx.designationDate);
+            if (tx.description) clean.description = text(tx.description);
+            if (tx.note) clean.note = text(tx.note);
+            return clean;
+        }),
+        residencyPeriods: list(s.residencyPeriods, p => ({ id: id(p.id), emigrationDate: date(p.emigrationDate), immigrationDate: optionalDate(p.immigrationDate) })),
+        schedules: list(s.schedules, sch => ({
+            id: id(sch.id),
+            type: oneOf(sch.type, ['CONTRIBUTION', 'WITHDRAWAL']),
+            frequency: oneOf(sch.frequency, Object.keys(SCHEDULE_FREQUENCIES)),
+            amount: amount(sch.amount),
+            institution: text(sch.institution),
+            startDate: date(sch.startDate),
+            endDate: optionalDate(sch.endDate)
+        })),
+        profile: { birthDate: optionalDate(profile.birthDate), residentSince: numberText(profile.residentSince), craPriorRoom: numberText(profile.craPriorRoom) },
+        limits: { cpiRate: numberText(limits.cpiRate === undefined ? defaults.limits.cpiRate : limits.cpiRate), compare: limits.compare === true },
+        cra: { room: optionalText(cra.room), summary: optionalText(cra.summary) },
+        waiver: {
+            name: optionalText(waiver.name),
+            awareDate: optionalDate(waiver.awareDate),
+            reasons: Array.isArray(waiver.reasons) ? waiver.reasons.filter(r => WAIVER_REASONS.some(reason => reason.id === r)) : [],
+            explanation: optionalText(waiver.explanation),
+            letter: optionalText(waiver.letter)
+        }
+    };
+}
+
+// The scenario in a snapshot (from a file or a share link); throws if it isn't one
+function readSnapshot(snapshot) {
+    if (!snapshot || snapshot.app !== 'tfsa-calculator' || !snapshot.scenario || typeof snapshot.scenario !== 'object') throw new Error('Not a snapshot');
+    // Older snapshots go through the same migrations as stored data
+    const migrated = migrateStore({ version: snapshot.version, activeId: null, scenarios: [snapshot.scenario] });
+    const scenario = migrated.scenarios[0];
+    return {
+        name: typeof scenario.name === 'string' && scenario.name.trim() ? scenario.name.trim() : t('My Scenario'),
+        state: normalizeSnapshotState(scenario.state)
+    };
+}
+
+function importJsonSnapshot(text) {
+    try {
+        const scenario = readSnapshot(JSON.parse(text));
+        addScenario(t('{name} (imported)', { name: scenario.name }), scenario.state);
+    } catch (e) {
+        alert(t('This file is not a TFSA calculator snapshot.'));
+    }
+}
+
+// --- Share Links ---
+
+// A snapshot cut down to what the calculation needs; the profile (date of
+// birth), pasted CRA text and waiver letter stay in this browser
+function getShareSnapshot() {
+    const state = getState();
+    return {
+        app: 'tfsa-calculator',
+        version: STORAGE_VERSION,
+        scenario: {
+            name: getActiveScenario().name,
+            state: {
+                mode: state.mode,
+                firstYear: state.firstYear,
+                year: state.year,
+                startRoom: state.startRoom,
+                transactions: state.transactions,
+                residencyPeriods: state.residencyPeriods,
+                schedules: state.schedules,
+                limits: state.limits
+            }
+        }
+    };
+}
+
+function toggleSharePanel() {
+    document.getElementById('sharePanel').classList.toggle('hidden');
+    document.getElementById('shareResult').classList.add('hidden');
+    document.getElementById('shareError').classList.add('hidden');
+}
+
+async function createShareLink() {
+    const passphrase = document.getElementById('sharePassphrase').value;
+    const errorEl = document.getElementById('shareError');
+    errorEl.classList.add('hidden');
+
+    let url;
+    try {
+        url = `${location.href.split('#')[0]}#${await encodeShareFragment(getShareSnapshot(), passphrase)}`;
+    } catch (e) {
+        errorEl.textContent = t('This browser cannot create share links. Export a JSON snapshot instead.');
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    const tooLong = url.length > MAX_SHARE_URL_LENGTH;
+    const length = url.length.toLocaleString(getLocale());
+    const status = document.getElementById('shareStatus');
+    status.textContent = [
+        tooLong
+            ? t('This link is {length} characters long. Some browsers, mail and chat apps cut links longer than {max} characters; if it does not open in full, send a JSON snapshot instead.', { length, max: MAX_SHARE_URL_LENGTH.toLocaleString(getLocale()) })
+            : t('{length} characters.', { length }),
+        passphrase ? t('The passphrase is needed to open it.') : ''
+    ].filter(Boolean).join(' ');
+    status.className = `text-xs ${tooLong ? 'text-amber-700' : 'text-slate-500'}`;
+    document.getElementById('shareUrl').value = url;
+    document.getElementById('shareResult').classList.remove('hidden');
+}
+
+function copyShareLink() {
+    const field = document.getElementById('shareUrl');
+    field.select();
+    // The clipboard API needs https or localhost; elsewhere the selected text can be copied by hand
+    if (navigator.clipboard) navigator.clipboard.writeText(field.value).catch(() => {});
+}
+
+// Adds the scenario in a share link as a new one, then drops the fragment so
+// a reload doesn't add it again
+async function openShareLink() {
+    const link = parseShareFragment(location.hash);
+    if (!link) return;
+
+    let data = null;
+    while (data === null) {
+        const passphrase = link.locked ? prompt(t('This shared scenario is protected. Enter its passphrase:')) : '';
+        if (passphrase === null) break;
+        try {
+            data = await decodeShareFragment(location.hash, passphrase);
+        } catch (e) {
+            alert(translateMessage(language, e.message));
+            if (!link.locked) break;
+        }
+    }
+    history.replaceState(null, '', location.href.split('#')[0]);
+    if (data === null) return;
+
+    try {
+        const scenario = readSnapshot(data);
+        addScenario(t('{name} (shared)', { name: scenario.name }), scenario.state);
+    } catch (e) {
+        alert(t('This link is damaged or incomplete'));
+    }
+}
+
+/**
+ * Opens a print-optimized report in a new window: inputs, assumptions,
+ * summary, monthly table, the current chart and the disclaimer.
+ */
+function openPrintReport() {
+    const year = inputs.year.value;
+    const isLedger = inputs.mode.value === 'ledger';
+    const { result, ledger } = computeResults(transactions);
+    const chartImage = outputs.chartCanvas.toDataURL('image/png');
+    const generatedAt = new Date().toLocaleString(getLocale());
+    const sorted = getAllTransactions().sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    const projected = y => isProjectedLimit(y) ? ` ${t('(projected)')}` : '';
+
+    const inputRows = [
+        [t('Scenario'), getActiveScenario().name],
+        [t('Mode'), isLedger ? t('Multi-year ledger from {year}', { year: inputs.firstYear.value }) : t('Single year')],
+        [t('Calculation year'), year],
+        [t('Starting room (Jan 1, {year})', { year: getStartRoomYear() }), formatCurrency(parseFloat(inputs.startRoom.value) || 0)],
+        [t('Non-resident periods'), residencyPeriods.map(p => t('{from} to {to}', { from: p.emigrationDate, to: p.immigrationDate || t('present') })).join('; ') || t('None')]
+    ];
+    const assumptionRows = [
+        [t('Annual limit {year}', { year }), formatCurrency(annualLimit(year, getCpiRate())) + projected(year)],
+        [t("Annual limit {year} (used for next year's room)", { year: parseInt(year) + 1 }), formatCurrency(result.nextAnnualLimit) + projected(parseInt(year) + 1)],
+        [t('Assumed inflation for projected limits'), formatPercent(getCpiRate())],
+        [t('Penalty rate'), t('1% per month on the highest excess in the month')],
+        [t('Withdrawals'), t('Reduce excess immediately; added back to room on Jan 1 of the following year')]
+    ];
+    const summaryRows = [
+        [t('Estimated penalty'), formatCurrency(result.totalPenalty)],
+        [t('Non-resident tax'), formatCurrency(result.totalNonResidentTax)],
+        [t('Max monthly excess'), formatCurrency(result.peakExcess)],
+        [t('Remaining room'), formatCurrency(result.remainingRoom)],
+        [t('Room on Jan 1, {year}', { year: parseInt(year) + 1 }), formatCurrency(result.nextYearLimit)]
+    ];
+    if (ledger) summaryRows.push([t('Cumulative penalty since {year}', { year: inputs.firstYear.value }), formatCurrency(ledger.totalPenalty)]);
+
+    const keyValueTable = rows => `<table>${rows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>`;
+
+    const html = `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<title>${t('TFSA Penalty Report: {year}', { year: escapeHtml(year) })}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #1e293b; margin: 2rem; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0; }
+    h2 { font-size: 14px; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #cbd5e1; padding-bottom: 0.25rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e2e8f0; }
+    td.num, th.num { text-align: right; font-family: monospace; }
+    .muted { color: #64748b; }
+    .disclaimer { margin-top: 1.5rem; padding: 0.75rem; border: 1px solid #fde68a; background: #fefce8; }
+    img { max-width: 100%; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } table { page-break-inside: auto; } }
+</style>
+</head>
+<body>
+<h1>${t('TFSA Penalty Report: {year}', { year: escapeHtml(year) })}</h1>
+<p class="muted">${t('Generated {date} by the TFSA Penalty Calculator (unofficial estimation tool)', { date: escapeHtml(generatedAt) })}</p>
+
+<h2>${t('Inputs')}</h2>
+${keyValueTable(inputRows)}
+
+<h2>${t('Assumptions')}</h2>
+${keyValueTable(assumptionRows)}
+
+<h2>${t('Summary')}</h2>
+${keyValueTable(summaryRows)}
+
+<h2>${t('Monthly Excess and Penalty')}</h2>
+<table>
+    <tr><th>${t('Month')}</th><th class="num">${t('Max Excess')}</th><th class="num">${t('Penalty (1%)')}</th><th class="num">${t('Non-Res. Contrib.')}</th><th class="num">${t('Non-Res. Tax (1%)')}</th><th>${t('Notes')}</th></tr>
+    ${result.monthlyDetails.map((m, i) => `<tr><td>${monthName(i)}</td><td class="num">${formatCurrency(m.maxExcess)}</td><td class="num">${formatCurrency(m.penalty)}</td><td class="num">${formatCurrency(m.maxNonResident)}</td><td class="num">${formatCurrency(m.nonResidentTax)}</td><td>${m.flags.map(f => escapeHtml(translateMessage(language, f))).join('<br>')}</td></tr>`).join('')}
+    <tr><th>${t('Total')}</th><th class="num">${formatCurrency(result.peakExcess)}</th><th class="num">${formatCurrency(result.totalPenalty)}</th><th></th><th class="num">${formatCurrency(result.totalNonResidentTax)}</th><th></th></tr>
+</table>
+
+<h2>${t('Excess Timeline')}</h2>
+<img src="${chartImage}" alt="${t('Monthly excess chart')}">
+
+<h2>${t('Transactions')}</h2>
+<table>
+    <tr><th>${t('Date')}</th><th>${t('Type')}</th><th>${t('Institution')}</th><th class="num">${t('Amount')}</th></tr>
+    ${sorted.map(tx => `<tr><td>${tx.date}</td><td>${t(TX_TYPES[tx.type].label)}</td><td>${escapeHtml(tx.type === 'TRANSFER' ? `${tx.institution} → ${tx.toInstitution}` : tx.institution)}</td><td class="num">${formatCurrency(tx.amount)}</td></tr>`).join('') || `<tr><td colspan="4" class="muted">${t('No transactions.')}</td></tr>`}
+</table>
+
+<div class="disclaimer">
+    <strong>${t('Disclaimer:')}</strong> ${t('This report is for educational purposes only. It is not an official CRA assessment.')}
+    ${t('Calculations may differ from actual CRA penalties due to timing differences in reporting.')}
+    ${t('Always verify with your "My CRA" account.')} ${t('Generated {date}.', { date: escapeHtml(generatedAt) })}
+</div>
+</body>
+</html>`;
+
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert(t('Please allow pop-ups to open the printable report.'));
+        return;
+    }
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.onload = () => reportWindow.print();
+}
+
+// --- TFSA Return (RC243) Worksheet ---
+
+/**
+ * Figures for the RC243 return in the order the schedules ask for them:
+ * Schedule A (excess TFSA amount) and, when there were non-resident
+ * contributions, Schedule B, then the total tax payable. Each month's tax is
+ * rounded to the cent as written on the form, and totals add up those values.
+ */
+function buildRc243Worksheet(year, result) {
+    const schedule = (amountKey) => {
+        const rows = result.monthlyDetails.map((m, i) => ({
+            month: `${monthName(i)} ${year}`,
+            amount: m[amountKey],
+            tax: fromCents(Math.round(toCents(m[amountKey]) / 100)) // 1%, to the cent
+        }));
+        return { rows: rows, totalTax: fromCents(rows.reduce((sum, r) => sum + toCents(r.tax), 0)) };
+    };
+
+    const scheduleA = schedule('maxExcess');
+    const scheduleB = result.totalNonResidentContributions > 0 || result.totalNonResidentTax > 0 ? schedule('maxNonResident') : null;
+
+    return {
+        year: parseInt(year),
+        deadline: `${parseInt(year) + 1}-06-30`,
+        scheduleA: scheduleA,
+        scheduleB: scheduleB,
+        totalTax: fromCents(toCents(scheduleA.totalTax) + (scheduleB ? toCents(scheduleB.totalTax) : 0)),
+        excessAtYearEnd: result.currentExcess
+    };
+}
+
+function renderRc243Notice(result, year) {
+    const worksheet = buildRc243Worksheet(year, result);
+    document.getElementById('rc243Notice').classList.toggle('hidden', worksheet.totalTax === 0);
+    document.getElementById('rc243Title').textContent = t('A TFSA return (RC243) for {year} is due by {date}', { year, date: formatLongDate(worksheet.deadline) });
+    document.getElementById('rc243Text').textContent =
+        t("Estimated tax owing: {amount}. The draft worksheet lists each month's highest amount and 1% tax to copy onto the official form.", { amount: formatCurrency(worksheet.totalTax) });
+}
+
+function downloadRc243Worksheet() {
+    const year = inputs.year.value;
+    const worksheet = buildRc243Worksheet(year, computeResults(transactions).result);
+    const rows = [[t('UNOFFICIAL DRAFT - not a CRA form. Copy the figures onto the official RC243 and schedules.')]];
+    const addSchedule = (title, amountLabel, schedule) => {
+        rows.push([], [title], [t('Month'), amountLabel, t('Tax (1%)')]);
+        schedule.rows.forEach(r => rows.push([r.month, r.amount.toFixed(2), r.tax.toFixed(2)]));
+        rows.push([t('Total'), '', schedule.totalTax.toFixed(2)]);
+    };
+
+    addSchedule(t('Schedule A - Excess TFSA amount'), t('Highest excess TFSA amount in the month'), worksheet.scheduleA);
+    if (worksheet.scheduleB) {
+        addSchedule(t('Schedule B - Non-resident contributions'), t('Highest non-resident contributions held in the month'), worksheet.scheduleB);
+    }
+    rows.push([], [t('Tax payable')]);
+    rows.push([t('Tax on excess TFSA amount (Schedule A)'), worksheet.scheduleA.totalTax.toFixed(2)]);
+    if (worksheet.scheduleB) rows.push([t('Tax on non-resident contributions (Schedule B)'), worksheet.scheduleB.totalTax.toFixed(2)]);
+    rows.push([t('Total tax payable'), worksheet.totalTax.toFixed(2)]);
+    rows.push([t('Return and payment due'), worksheet.deadline]);
+
+    downloadFile(`${getExportBaseName()}-rc243-draft-${year}.csv`, toCsv(rows), 'text/csv');
+}
+
+function openRc243Worksheet() {
+    const year = inputs.year.value;
+    const worksheet = buildRc243Worksheet(year, computeResults(transactions).result);
+    const generatedAt = new Date().toLocaleString(getLocale());
+
+    const scheduleTable = (title, note, amountLabel, schedule) => `
+<h2>${title}</h2>
+<p class="muted">${note}</p>
+<table>
+    <tr><th>${t('Month')}</th><th class="num">${amountLabel}</th><th class="num">${t('Tax (1%)')}</th></tr>
+    ${schedule.rows.map(r => `<tr><td>${r.month}</td><td class="num">${formatCurrency(r.amount)}</td><td class="num">${formatCurrency(r.tax)}</td></tr>`).join('')}
+    <tr><th colspan="2">${t('Total')}</th><th class="num">${formatCurrency(schedule.totalTax)}</th></tr>
+</table>`;
+
+    const html = `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<title>${t('Draft TFSA Return Worksheet (RC243): {year}', { year: escapeHtml(year) })}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #1e293b; margin: 2rem; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0; }
+    h2 { font-size: 14px; margin: 1.5rem 0 0.25rem; border-bottom: 1px solid #cbd5e1; padding-bottom: 0.25rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e2e8f0; }
+    td.num, th.num { text-align: right; font-family: monospace; }
+    .muted { color: #64748b; margin: 0 0 0.5rem; }
+    .draft { border: 2px solid #D32F2F; color: #D32F2F; padding: 0.5rem 0.75rem; font-weight: bold; margin: 1rem 0; }
+    .disclaimer { margin-top: 1.5rem; padding: 0.75rem; border: 1px solid #fde68a; background: #fefce8; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${t('Draft TFSA Return Worksheet (RC243): {year}', { year: escapeHtml(year) })}</h1>
+<p class="muted">${t('Generated {date} by the TFSA Penalty Calculator for scenario "{name}"', { date: escapeHtml(generatedAt), name: escapeHtml(getActiveScenario().name) })}</p>
+<div class="draft">${t('UNOFFICIAL DRAFT. This is not a CRA form and cannot be filed. Copy the figures onto the official RC243 return and its schedules.')}</div>
+
+<h2>${t('Holder Information')}</h2>
+<p class="muted">${t('Complete your name, address and social insurance number on the official form.')}</p>
+${scheduleTable(t('Schedule A – Excess TFSA Amount'), t('For each month, the highest excess TFSA amount at any time in the month and the 1% tax on it.'), t('Highest excess TFSA amount'), worksheet.scheduleA)}
+${worksheet.scheduleB ? scheduleTable(t('Schedule B – Non-Resident Contributions'), t('For each month, the highest total of contributions made while non-resident and still held, and the 1% tax on it.'), t('Highest non-resident contributions'), worksheet.scheduleB) : ''}
+
+<h2>${t('Tax Payable')}</h2>
+<table>
+    <tr><td>${t('Tax on excess TFSA amount (from Schedule A)')}</td><td class="num">${formatCurrency(worksheet.scheduleA.totalTax)}</td></tr>
+    ${worksheet.scheduleB ? `<tr><td>${t('Tax on non-resident contributions (from Schedule B)')}</td><td class="num">${formatCurrency(worksheet.scheduleB.totalTax)}</td></tr>` : ''}
+    <tr><th>${t('Total tax payable')}</th><th class="num">${formatCurrency(worksheet.totalTax)}</th></tr>
+</table>
+
+<h2>${t('Filing Deadline')}</h2>
+<p>${t('File the return and pay the tax by {date}.', { date: `<strong>${formatLongDate(worksheet.deadline)}</strong>` })}</p>
+${worksheet.excessAtYearEnd > 0 ? `<p>${t('An excess of {amount} was still held on {date}; it keeps attracting 1% per month in {year} until it is withdrawn or absorbed by new room.', { amount: formatCurrency(worksheet.excessAtYearEnd), date: formatLongDate(`${worksheet.year}-12-31`), year: worksheet.year + 1 })}</p>` : ''}
+
+<div class="disclaimer">
+    <strong>${t('Disclaimer:')}</strong> ${t('This worksheet is an unofficial helper for educational purposes only. It is not an official CRA assessment or form.')}
+    ${t('Calculations may differ from actual CRA figures due to timing differences in reporting.')}
+    ${t('Always verify with your "My CRA" account.')} ${t('Generated {date}.', { date: escapeHtml(generatedAt) })}
+</div>
+</body>
+</html>`;
+
+    const worksheetWindow = window.open('', '_blank');
+    if (!worksheetWindow) {
+        alert(t('Please allow pop-ups to open the printable worksheet.'));
+        return;
+    }
+    worksheetWindow.document.write(html);
+    worksheetWindow.document.close();
+    worksheetWindow.onload = () => worksheetWindow.print();
+}
+
+// --- Penalty Waiver Request ---
+
+// Common reasons, as they read in the letter
+const WAIVER_REASONS = [
+    { id: 'withdrawal-room', label: 'Re-contributed a withdrawal in the same year', text: 'I did not realize that a withdrawal only adds contribution room back on January 1 of the following year, and re-contributed it in the same year.' },
+    { id: 'room-figure', label: 'Relied on an incorrect room figure', text: 'I relied on a contribution room figure that later turned out to be out of date or incorrect.' },
+    { id: 'transfer', label: 'Moved money between institutions as a withdrawal and re-contribution', text: 'I moved my savings between financial institutions myself, by withdrawing and re-contributing, instead of requesting a direct transfer.' },
+    { id: 'institution', label: 'Error or delay by the financial institution', text: 'The excess arose from an error or delay by my financial institution.' },
+    { id: 'quick-fix', label: 'Removed the excess as soon as I found out', text: 'As soon as I became aware of the excess, I withdrew it.' }
+];
+
+function renderWaiverReasonOptions() {
+    document.getElementById('waiverReasonOptions').innerHTML = WAIVER_REASONS.map(r => `
+        <label class="flex items-start gap-2">
+            <input type="checkbox" id="waiverReason-${r.id}" onchange="saveState()" class="mt-1 rounded border-slate-300 text-cra-red focus:ring-cra-red">
+            <span>${t(r.label)}</span>
+        </label>`).join('');
+}
+
+/**
+ * Excess periods with their dated events and tax, taken from the timeline of
+ * every calculated year (the whole ledger in ledger mode), so an excess carried
+ * past Dec 31 is one period.
+ */
+function getWaiverFacts(results) {
+    const years = results.ledger
+        ? results.ledger.years.map(e => ({ year: e.year, result: e.result }))
+        : [{ year: parseInt(inputs.year.value), result: results.result }];
+    const timeline = years.flatMap(e => e.result.timeline);
+    const pointByDate = Object.fromEntries(timeline.map(p => [p.date, p]));
+    const monthlyPenalties = years.flatMap(e => e.result.monthlyDetails.map((m, i) => ({
+        month: `${e.year}-${String(i + 1).padStart(2, '0')}`,
+        penalty: m.penalty
+    })));
+    const lastDate = timeline.length ? timeline[timeline.length - 1].date : '';
+    const awareDate = inputs.waiverAwareDate.value;
+
+    const periods = findExcessPeriods(timeline).map(period => {
+        const until = period.end || lastDate;
+        const events = [];
+        const txs = getAllTransactions()
+            .filter(tx => tx.type !== 'TRANSFER' && tx.date >= period.start && tx.date <= until)
+            .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+        if (!txs.some(tx => tx.date === period.start)) {
+            events.push({ date: period.start, text: t('Excess carried over from the previous year'), excess: pointByDate[period.start].excess });
+        }
+        txs.forEach(tx => {
+            const params = { type: t(TX_TYPES[tx.type].label), amount: formatCurrency(tx.amount), institution: tx.institution };
+            const text = tx.type === 'WITHDRAWAL' ? t('Withdrawal of {amount} from {institution}', params) : t('{type} of {amount} to {institution}', params);
+            events.push({ date: tx.date, text, excess: pointByDate[tx.date].excess });
+        });
+        if (awareDate && awareDate >= period.start && awareDate <= until) {
+            events.push({ date: awareDate, text: t('I became aware of the excess'), excess: null });
+        }
+        const byWithdrawal = txs.some(tx => tx.date === period.end && tx.type === 'WITHDRAWAL');
+        if (period.end) {
+            events.push({ date: period.end, text: t(byWithdrawal ? 'Excess fully removed' : 'Excess absorbed by new contribution room'), excess: 0 });
+        }
+        events.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+        const endMonth = until.slice(0, 7);
+        const tax = monthlyPenalties
+            .filter(m => m.month >= period.start.slice(0, 7) && m.month <= endMonth)
+            .reduce((sum, m) => sum + Math.round(m.penalty * 100), 0) / 100;
+        const days = period.end ? Math.round((Date.parse(period.end) - Date.parse(period.start)) / 86400000) : null;
+
+        return { ...period, events, tax, days, byWithdrawal };
+    });
+
+    return { periods, totalTax: periods.reduce((sum, p) => sum + Math.round(p.tax * 100), 0) / 100, lastDate };
+}
+
+function renderWaiverPeriods(results) {
+    const { periods } = getWaiverFacts(results);
+    document.getElementById('waiverForm').classList.toggle('hidden', periods.length === 0);
+    document.getElementById('waiverPeriods').innerHTML = periods.length === 0
+        ? `<div class="text-slate-500">${t('No excess in the calculated period, so there is nothing to ask CRA to cancel.')}</div>`
+        : periods.map(p => {
+            const params = { start: `<strong>${p.start}</strong>`, end: `<strong>${p.end}</strong>`, days: p.days, peak: formatCurrency(p.peak), tax: formatCurrency(p.tax) };
+            return `<div class="${p.end ? 'text-slate-700' : 'text-red-700'}">${p.end
+                ? t(p.days === 1 ? 'Excess from {start} to {end} ({days} day), peak {peak}, estimated tax {tax}' : 'Excess from {start} to {end} ({days} days), peak {peak}, estimated tax {tax}', params)
+                : t('Excess from {start} still held, peak {peak}, estimated tax {tax}', params)}</div>`;
+        }).join('');
+}
+
+// Plain-text table with fixed-width columns, readable in the .txt download
+function formatWaiverEvents(events) {
+    const rows = events.map(e => [e.date, e.text, e.excess === null ? '' : formatCurrency(e.excess)]);
+    const header = [t('Date'), t('Event'), t('Excess after')];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cols => cols.map((c, i) => i === 2 ? c.padStart(widths[i]) : c.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function generateWaiverLetter() {
+    const facts = getWaiverFacts(computeResults(transactions));
+    if (facts.periods.length === 0) return;
+
+    const name = inputs.waiverName.value.trim() || t('[Your name]');
+    const today = new Date().toISOString().split('T')[0];
+    const years = [...new Set(facts.periods.flatMap(p => {
+        const from = parseInt(p.start.slice(0, 4));
+        const to = parseInt((p.end || facts.lastDate).slice(0, 4));
+        return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    }))];
+    const reasons = WAIVER_REASONS.filter(r => document.getElementById(`waiverReason-${r.id}`).checked).map(r => t(r.text));
+    const explanation = inputs.waiverExplanation.value.trim();
+
+    const happened = facts.periods.map(p => {
+        if (!p.end) {
+            return t('Since {start}, my contributions have exceeded my available TFSA contribution room, by up to {peak}. I am taking steps to remove the excess.', { start: p.start, peak: formatCurrency(p.peak) });
+        }
+        const removal = p.byWithdrawal
+            ? t('I withdrew the full excess on {date}.', { date: p.end })
+            : t('The excess was absorbed by new contribution room on {date}.', { date: p.end });
+        const period = p.days === 1
+            ? 'From {start} to {end} ({days} day), my contributions exceeded my available TFSA contribution room, by up to {peak}.'
+            : 'From {start} to {end} ({days} days), my contributions exceeded my available TFSA contribution room, by up to {peak}.';
+        return `${t(period, { start: p.start, end: p.end, days: p.days, peak: formatCurrency(p.peak) })} ${removal}`;
+    });
+    const allRemoved = facts.periods.every(p => p.end);
+
+    const letter = [
+        name,
+        t('[Address]'),
+        t('[Social insurance number]'),
+        '',
+        today,
+        '',
+        t('Canada Revenue Agency'),
+        t('[TFSA processing address from your notice]'),
+        '',
+        t('Re: Request to cancel the tax on excess TFSA amounts for {years}', { years: years.join(', ') }),
+        '',
+        t('To whom it may concern,'),
+        '',
+        `${t('I am writing to ask that the tax on excess TFSA amounts be cancelled under subsection 207.06(1) of the Income Tax Act.')} ${t(allRemoved ? 'The excess arose from a reasonable error, and it was removed without delay.' : 'The excess arose from a reasonable error, and I am acting to remove it.')}`,
+        '',
+        t('WHAT HAPPENED'),
+        '',
+        ...happened,
+        '',
+        t('TIMELINE OF EVENTS'),
+        '',
+        formatWaiverEvents(facts.periods.flatMap(p => p.events)),
+        '',
+        t('REASONS'),
+        '',
+        ...(reasons.length || explanation ? [...reasons.map(r => `- ${r}`), ...(explanation ? [explanation] : [])] : [t('[Explain how the excess happened]')]),
+        '',
+        t('The estimated tax on these excess amounts is {amount}. I ask that you take into account how the excess arose and how quickly it was corrected.', { amount: formatCurrency(facts.totalTax) }),
+        '',
+        t('Thank you for considering this request.'),
+        '',
+        t('Sincerely,'),
+        '',
+        name
+    ].join('\n');
+
+    inputs.waiverLetter.value = letter;
+    document.getElementById('waiverLetterSection').classList.remove('hidden');
+    saveState();
+}
+
+function downloadWaiverLetter() {
+    downloadFile(`${getExportBaseName()}-waiver-request.txt`, inputs.waiverLetter.value.replace(/\r?\n/g, '\r\n'), 'text/plain');
+}
+
+function printWaiverLetter() {
+    const letterWindow = window.open('', '_blank');
+    if (!letterWindow) {
+        alert(t('Please allow pop-ups to print the letter.'));
+        return;
+    }
+    letterWindow.document.write(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<title>${t('TFSA Waiver Request')}</title>
+<style>
+    body { margin: 2rem; }
+    pre { font-family: "Courier New", monospace; font-size: 11px; white-space: pre-wrap; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body><pre>${escapeHtml(inputs.waiverLetter.value)}</pre></body>
+</html>`);
+    letterWindow.document.close();
+    letterWindow.onload = () => letterWindow.print();
+}
+
+// --- Planner ---
+
+// Excess penalty plus non-resident tax, across the ledger when in ledger mode
+function getTotalTax(results) {
+    const nonResidentTax = results.ledger ? results.ledger.totalNonResidentTax : results.result.totalNonResidentTax;
+    return results.totalPenalty + nonResidentTax;
+}
+
+function planTransaction(date, type, amount) {
+    return { id: 'plan', date, type, amount, institution: 'Planner' };
+}
+
+/**
+ * Largest contribution on `date` that creates no new excess: every monthly
+ * peak from that month on, and the total tax, stay as they are without it.
+ * Binary search in cents over the engine; returns the amount in dollars.
+ */
+function findMaxSafeContribution(date) {
+    const base = computeResults(transactions);
+    const baseTax = getTotalTax(base);
+    const excessOn = (results, day) => {
+        const point = balanceOn(results.result.timeline, day);
+        return point ? point.excess : 0;
+    };
+
+    // Excess only changes at timeline points, so comparing at every point of
+    // either timeline from the date on shows whether it rises on any day, even
+    // inside a month whose peak already came earlier
+    const isSafe = cents => {
+        const trial = computeResults([...transactions, planTransaction(date, 'CONTRIBUTION', cents / 100)]);
+        if (getTotalTax(trial) > baseTax + 1e-9) return false;
+        const days = [...trial.result.timeline, ...base.result.timeline].map(p => p.date).filter(day => day >= date);
+        return days.every(day => excessOn(trial, day) <= excessOn(base, day) + 1e-9);
+    };
+
+    // Can't exceed the room the year started with
+    const openingRoom = base.ledger
+        ? base.ledger.years.find(e => e.year === parseInt(inputs.year.value)).startRoom
+        : parseFloat(inputs.startRoom.value) || 0;
+    let lo = 0;
+    let hi = Math.max(0, Math.round(openingRoom * 100)) + 1;
+    if (isSafe(hi)) return hi / 100;
+
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (isSafe(mid)) lo = mid; else hi = mid;
+    }
+    return lo / 100;
+}
+
+/**
+ * Finds the days from `fromDate` to Dec 31 on which a withdrawal of `amount`
+ * gives the lowest total tax. Returns { from, to, tax, results }: the first
+ * run of such days, which may start after `fromDate` when the excess only
+ * appears later.
+ */
+function findBestWithdrawal(amount, fromDate) {
+    const year = inputs.year.value;
+    const lastDate = `${year}-12-31`;
+    const base = computeResults(transactions);
+
+    // The outcome only changes on an event date or the day after one (a
+    // withdrawal on the 1st also counts before the month's first balance), so
+    // each candidate stands for the days up to the next
+    const candidates = new Set([fromDate]);
+    const monthStarts = MONTHS.map((_, i) => `${year}-${String(i + 1).padStart(2, '0')}-01`);
+    [...base.result.timeline.map(p => p.date), ...monthStarts].forEach(date => {
+        candidates.add(date);
+        candidates.add(addDays(date, 1));
+    });
+    const dates = [...candidates].filter(date => date >= fromDate && date <= lastDate).sort();
+
+    const trials = dates.map(date => {
+        const results = computeResults([...transactions, planTransaction(date, 'WITHDRAWAL', amount)]);
+        return { date, tax: getTotalTax(results), results };
+    });
+    const minTax = Math.min(...trials.map(trial => trial.tax));
+    const first = trials.findIndex(trial => trial.tax <= minTax + 1e-9);
+    let last = first;
+    while (last + 1 < trials.length && trials[last + 1].tax <= minTax + 1e-9) last++;
+
+    return {
+        from: trials[first].date,
+        to: last + 1 < trials.length ? addDays(trials[last + 1].date, -1) : lastDate,
+        tax: trials[first].tax,
+        results: trials[first].results
+    };
+}
+
+// Planner dates must fall in the year being shown
+function getPlannerDate(input) {
+    const year = inputs.year.value;
+    const date = input.value || new Date().toISOString().split('T')[0];
+    if (date.slice(0, 4) === year) return date;
+    return date.slice(0, 4) < year ? `${year}-01-01` : `${year}-12-31`;
+}
+
+function renderPlanImpact(base, trial) {
+    return `
+        <div>${t('Estimated Penalty:')} ${formatCurrency(getTotalTax(base))} → <strong>${formatCurrency(getTotalTax(trial))}</strong></div>
+        <div>${t("Next Year's Room:")} ${formatCurrency(base.result.nextYearLimit)} → <strong>${formatCurrency(trial.result.nextYearLimit)}</strong></div>
+    `;
+}
+
+function runContributionPlanner() {
+    const dateInput = document.getElementById('planContribDate');
+    const date = getPlannerDate(dateInput);
+    dateInput.value = date;
+
+    const amount = findMaxSafeContribution(date);
+    const base = computeResults(transactions);
+    const trial = computeResults([...transactions, planTransaction(date, 'CONTRIBUTION', amount)]);
+
+    document.getElementById('planContribResult').innerHTML = amount > 0
+        ? `<div class="font-semibold text-emerald-700">${t('Contribute up to {amount} on {date}', { amount: formatCurrency(amount), date })}</div>${renderPlanImpact(base, trial)}`
+        : `<div class="font-semibold text-red-700">${t('Any contribution on {date} would add to your excess.', { date })}</div>`;
+}
+
+function runWithdrawalPlanner() {
+    const dateInput = document.getElementById('planWithdrawFrom');
+    const amountInput = document.getElementById('planWithdrawAmount');
+    const resultEl = document.getElementById('planWithdrawResult');
+    const fromDate = getPlannerDate(dateInput);
+    dateInput.value = fromDate;
+
+    const base = computeResults(transactions);
+
+    // Default to the excess standing on the earliest date
+    let amount = parseFloat(amountInput.value);
+    if (!amount || amount <= 0) {
+        const point = balanceOn(base.result.timeline, fromDate);
+        amount = point && point.excess;
+        if (!amount) {
+            resultEl.innerHTML = `<div class="text-slate-500">${t('No excess on {date}. Enter an amount to test.', { date: fromDate })}</div>`;
+            return;
+        }
+        amountInput.value = amount.toFixed(2);
+    }
+
+    const best = findBestWithdrawal(amount, fromDate);
+    const advice = best.from === best.to
+        ? t('Withdraw {amount} on {date}', { amount: formatCurrency(amount), date: best.from })
+        : t('Withdraw {amount} between {from} and {to}', { amount: formatCurrency(amount), from: best.from, to: best.to });
+    resultEl.innerHTML = `
+        <div class="font-semibold text-emerald-700">${advice}</div>
+        ${renderPlanImpact(base, best.results)}
+    `;
+}
+
+// --- CRA Reconciliation ---
+
+// Room this calculator has on Jan 1 of a year, or null when the year isn't covered
+function getComputedRoom(year, results) {
+    if (results.ledger) {
+        const years = results.ledger.years;
+        const entry = years.find(e => e.year === year);
+        if (entry) return entry.startRoom;
+        const last = years[years.length - 1];
+        return year === last.year + 1 ? last.result.nextYearLimit : null;
+    }
+
+    const selected = parseInt(inputs.year.value);
+    if (year === selected) return parseFloat(inputs.startRoom.value) || 0;
+    if (year === selected + 1) return results.result.nextYearLimit;
+    return null;
+}
+
+const CRA_STATUS = {
+    match: { label: 'Matches', badge: 'bg-emerald-100 text-emerald-700' },
+    mismatch: { label: 'Amounts differ', badge: 'bg-red-100 text-red-700' },
+    missing: { label: 'Missing at CRA', badge: 'bg-amber-100 text-amber-700' },
+    extra: { label: 'Not in your records', badge: 'bg-sky-100 text-sky-700' }
+};
+
+function renderReconciliation(results) {
+    const errorEl = document.getElementById('craError');
+    const resultEl = document.getElementById('craResult');
+    const room = parseCraRoom(inputs.craRoom.value);
+    const summary = parseCraSummary(inputs.craSummary.value);
+
+    const errors = [
+        ...room.errors.map(e => t('Room statement line {line}: {error}', { line: e.line, error: translateMessage(language, e.error) })),
+        ...summary.errors.map(e => t('Transaction summary line {line}: {error}', { line: e.line, error: translateMessage(language, e.error) }))
+    ];
+    errorEl.textContent = errors.join(' · ');
+    errorEl.classList.toggle('hidden', errors.length === 0);
+
+    if (room.rows.length === 0 && summary.rows.length === 0) {
+        resultEl.classList.add('hidden');
+        return;
+    }
+    resultEl.classList.remove('hidden');
+
+    const reconciliation = reconcileWithCra(getAllTransactions(), summary.rows, room.rows, year => getComputedRoom(year, results));
+    const issues = reconciliation.items.filter(i => i.status !== 'match').length +
+        reconciliation.room.filter(r => r.difference).length;
+
+    const summaryLine = document.getElementById('craSummaryLine');
+    summaryLine.className = `px-6 py-3 text-sm font-medium ${issues > 0 ? 'text-red-700' : 'text-emerald-700'}`;
+    summaryLine.textContent = issues > 0
+        ? t(issues === 1 ? '{count} difference to check with CRA or your institution' : '{count} differences to check with CRA or your institution', { count: issues })
+        : t('Everything entered matches this calculator.');
+
+    const body = document.getElementById('craItemsBody');
+    body.innerHTML = '';
+    if (reconciliation.items.length === 0) {
+        body.innerHTML = `<tr><td colspan="5" class="px-4 py-4 text-center text-slate-400">${t('Enter the transaction summary to compare institutions.')}</td></tr>`;
+    }
+    reconciliation.items.forEach(item => {
+        const status = CRA_STATUS[item.status];
+        const pair = (here, cra) => `${here === null ? '-' : formatCurrency(here)} / ${cra === null ? '-' : formatCurrency(cra)}`;
+        const differs = (diff) => diff !== 0 ? 'font-semibold text-red-700' : '';
+        const tr = document.createElement('tr');
+        tr.className = item.status === 'match' ? '' : 'bg-red-50/50';
+        tr.innerHTML = `
+            <td class="px-4 py-2 font-medium">${item.year}</td>
+            <td class="px-4 py-2">${escapeHtml(item.institution)}</td>
+            <td class="px-4 py-2 text-right font-mono ${differs(item.contributionDiff)}">${pair(item.local && item.local.contributions, item.cra && item.cra.contributions)}</td>
+            <td class="px-4 py-2 text-right font-mono ${differs(item.withdrawalDiff)}">${pair(item.local && item.local.withdrawals, item.cra && item.cra.withdrawals)}</td>
+            <td class="px-4 py-2">
+                <span class="inline-block px-2 py-0.5 rounded-full text-xs font-medium ${status.badge}">${t(status.label)}</span>
+                ${renderCraNote(item)}
+            </td>
+        `;
+        body.appendChild(tr);
+    });
+
+    document.getElementById('craRoomResult').innerHTML = reconciliation.room.map(r => {
+        const params = { year: r.year, cra: formatCurrency(r.cra), computed: formatCurrency(r.computed), difference: formatCurrency(Math.abs(r.difference)) };
+        if (r.computed === null) {
+            return `<div class="text-slate-500">${t('Room on Jan 1, {year}: CRA {cra}; not calculated here (use Multi-Year Ledger to cover {year}).', params)}</div>`;
+        }
+        if (r.difference === 0) {
+            return `<div class="text-emerald-700">${t('Room on Jan 1, {year}: {cra} matches.', params)}</div>`;
+        }
+        return `<div class="text-red-700">${t(r.difference > 0
+            ? 'Room on Jan 1, {year}: CRA {cra}, calculated here {computed} (CRA higher by {difference}).'
+            : 'Room on Jan 1, {year}: CRA {cra}, calculated here {computed} (CRA lower by {difference}).', params)}</div>`;
+    }).join('');
+}
+
+// What to look at for one reconciliation row
+function renderCraNote(item) {
+    const txText = tx => `${tx.date} ${t(TX_TYPES[tx.type].label).toLowerCase()} ${formatCurrency(tx.amount)}`;
+    let note = '';
+    if (item.status === 'missing') {
+        note = t('CRA shows nothing from this institution: {txs}', { txs: item.suspects.map(txText).join(', ') });
+    } else if (item.status === 'extra') {
+        note = t('No transactions recorded here; add them or check the institution name.');
+    } else if (item.status === 'mismatch') {
+        const parts = [];
+        if (item.suspects.length > 0) parts.push(t('Possibly not reported yet: {txs}', { txs: item.suspects.map(txText).join(', ') }));
+        if (item.contributionDiff > 0) parts.push(t('CRA shows {amount} more in contributions', { amount: formatCurrency(item.contributionDiff) }));
+        if (item.withdrawalDiff > 0) parts.push(t('CRA shows {amount} more in withdrawals', { amount: formatCurrency(item.withdrawalDiff) }));
+        if (item.suspects.length === 0 && (item.contributionDiff < 0 || item.withdrawalDiff < 0)) {
+            parts.push(t('CRA shows less than recorded here'));
+        }
+        note = parts.join('. ');
+    }
+    return note ? `<div class="text-xs text-slate-500 mt-1">${escapeHtml(note)}</div>` : '';
+}
+
+// --- Offline Mode ---
+
+// Installed version waiting to take over, set once the update notice shows
+let waitingWorker = null;
+
+// sw.js caches the app for offline use. Service workers need http(s), so a
+// page opened from a file simply runs without one.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    // The first install also takes control of the page; only a later update reloads it
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && hadController) showUpdateNotice(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateNotice(worker);
+            });
+        });
+    }).catch(() => {
+        // Without a worker the calculator still works online
+    });
+}
+
+function showUpdateNotice(worker) {
+    waitingWorker = worker;
+    document.getElementById('updateNotice').classList.remove('hidden');
+}
+
+// Everything is autosaved, so reloading into the new version loses nothing
+function applyUpdate() {
+    document.getElementById('updateNotice').classList.add('hidden');
+    if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// --- UI Actions ---
+
+// Why a transaction can't be recorded as entered, or null if it can
+function validateTransaction(tx) {
+    const year = inputs.year.value;
+    const firstYear = inputs.firstYear.value;
+    const isLedger = inputs.mode.value === 'ledger';
+
+    if (!tx.institution) return t('Please select a financial institution.');
+    if (tx.type === 'TRANSFER' && !tx.toInstitution) return t('Please select the institution receiving the transfer.');
+    if (tx.type === 'TRANSFER' && tx.toInstitution === tx.institution) return t('A transfer must be between two different institutions.');
+    if (tx.type === 'EXEMPT_CONTRIBUTION' && !tx.deathDate) return t("Please enter the deceased holder's date of death.");
+    if (!tx.date || !tx.amount || isNaN(tx.amount)) return t('Please enter a valid date and amount.');
+    if (tx.amount <= 0) return t('Amount must be positive.');
+    if (isLedger && tx.date.slice(0, 4) < firstYear) return t('Date must be in {year} or later.', { year: firstYear });
+    if (!isLedger && tx.date.slice(0, 4) !== year) return t('Date must be in {year}.', { year });
+    return null;
+}
+
+function addTransaction() {
+    const errorEl = inputs.addTxError;
+    errorEl.classList.add('hidden');
+
+    const type = inputs.txType.value;
+    const note = inputs.txNote.value.trim();
+    const tx = {
+        id: Date.now(),
+        date: inputs.txDate.value,
+        amount: parseFloat(inputs.txAmount.value),
+        type,
+        institution: inputs.txInstitution.value
+    };
+    if (type === 'TRANSFER') tx.toInstitution = inputs.txToInstitution.value;
+    if (type === 'EXEMPT_CONTRIBUTION') {
+        tx.deathDate = inputs.txDeathDate.value;
+        tx.designationDate = inputs.txDesignationDate.value;
+    }
+    if (note) tx.note = note;
+
+    const error = validateTransaction(tx);
+    if (error) {
+        showError(error);
+        return;
+    }
+    transactions.push(tx);
+
+    // Reset Form (keep date for convenience?)
+    inputs.txAmount.value = '';
+    inputs.txNote.value = '';
+    inputs.txType.value = 'CONTRIBUTION'; // Reset to default
+    syncTxTypeFields();
+
+    renderTxList();
+    recalculateAll();
+}
+
+// Transfers need a destination; the main institution select becomes the source
+function syncTxTypeFields() {
+    const isTransfer = inputs.txType.value === 'TRANSFER';
+    document.getElementById('txToInstitutionField').classList.toggle('hidden', !isTransfer);
+    document.getElementById('txInstitutionLabel').textContent = t(isTransfer ? 'From Institution' : 'Institution');
+    document.getElementById('txExemptFields').classList.toggle('hidden', inputs.txType.value !== 'EXEMPT_CONTRIBUTION');
+}
+
+function addSchedule() {
+    const errorEl = document.getElementById('scheduleError');
+    errorEl.classList.add('hidden');
+    const fail = msg => {
+        errorEl.textContent = msg;
+        errorEl.classList.remove('hidden');
+    };
+
+    const amount = parseFloat(inputs.scheduleAmount.value);
+    const startDate = inputs.scheduleStart.value;
+    const endDate = inputs.scheduleEnd.value;
+    const institution = inputs.scheduleInstitution.value;
+    const firstYear = inputs.firstYear.value;
+    const isLedger = inputs.mode.value === 'ledger';
+
+    // Same rules as addTransaction, applied to the first payment
+    if (!institution) return fail(t('Please select a financial institution.'));
+    if (!startDate || !amount || isNaN(amount)) return fail(t('Please enter a valid first payment date and amount.'));
+    if (amount <= 0) return fail(t('Amount must be positive.'));
+    if (endDate && endDate < startDate) return fail(t('End date must be on or after the first payment.'));
+    if (isLedger && startDate.slice(0, 4) < firstYear) return fail(t('First payment must be in {year} or later.', { year: firstYear }));
+
+    schedules.push({
+        id: Date.now(),
+        type: inputs.scheduleType.value,
+        frequency: inputs.scheduleFrequency.value,
+        amount,
+        institution,
+        startDate,
+        endDate
+    });
+    inputs.scheduleAmount.value = '';
+    inputs.scheduleEnd.value = '';
+
+    renderTxList();
+    recalculateAll();
+}
+
+function removeSchedule(id) {
+    schedules = schedules.filter(sch => sch.id !== id);
+    renderTxList();
+    recalculateAll();
+}
+
+/**
+ * When the schedules use up the remaining room and first create excess,
+ * looking forward from today (or from the first payment, if later) through
+ * the year after the last calculated one. When that start is past the
+ * horizon, `beyond` tells why: 'starts' (first payment after it), 'ended'
+ * (every schedule ended before today) or 'running' (a past year is shown).
+ */
+function getScheduleProjection(results) {
+    const entries = results.ledger
+        ? results.ledger.years
+        : [{ year: parseInt(inputs.year.value), result: results.result }];
+    const last = entries[entries.length - 1];
+
+    // One more year, so open-ended schedules can be followed past Dec 31
+    const next = calculatePenalty(last.year + 1, last.result.nextYearLimit, getAllTransactions(), {
+        ...getCalcOptions(),
+        openingNonResidentContributions: last.result.nonResidentContributionsEndOfYear
+    });
+    const timeline = [...entries.flatMap(e => e.result.timeline), ...next.timeline];
+    const today = new Date().toISOString().split('T')[0];
+    const firstPayment = schedules.map(sch => sch.startDate).sort()[0];
+    const from = firstPayment > today ? firstPayment : today;
+    const horizon = `${last.year + 1}-12-31`;
+
+    if (from > horizon) {
+        if (firstPayment > today) return { from, horizon, beyond: 'starts' };
+        const ended = schedules.every(sch => sch.endDate && sch.endDate < today);
+        const end = schedules.map(sch => sch.endDate).sort().pop();
+        return { from, horizon, end, beyond: ended ? 'ended' : 'running' };
+    }
+
+    // Balance standing on `from`, then the first later change of each kind
+    const standing = [...timeline].reverse().find(p => p.date <= from) || timeline[0];
+    const later = timeline.filter(p => p.date > from);
+    return {
+        from,
+        horizon,
+        roomOut: standing.unusedRoom === 0 ? from : (later.find(p => p.unusedRoom === 0) || {}).date || null,
+        excessStart: standing.excess > 0 ? from : (later.find(p => p.excess > 0) || {}).date || null,
+        alreadyNoRoom: standing.unusedRoom === 0,
+        alreadyInExcess: standing.excess > 0
+    };
+}
+
+function renderScheduleProjection(results) {
+    const el = document.getElementById('scheduleProjection');
+    el.classList.toggle('hidden', schedules.length === 0);
+    if (schedules.length === 0) return;
+
+    const p = getScheduleProjection(results);
+    const textEl = document.getElementById('scheduleProjectionText');
+    if (p.beyond) {
+        const messages = {
+            starts: 'The first payment ({from}) is after {horizon}, beyond the calculated years.',
+            ended: 'The schedules ended on {end}, so no payments are left to project.',
+            running: 'Today ({from}) is after {horizon}, beyond the calculated years. Show a later year to follow the schedules.'
+        };
+        textEl.innerHTML = `<div>${t(messages[p.beyond], p)}</div>`;
+        return;
+    }
+
+    const room = p.alreadyNoRoom
+        ? t('No contribution room is left as of {from}.', p)
+        : p.roomOut
+            ? t('At this pace the remaining room is used up on {date}.', { date: `<strong>${p.roomOut}</strong>` })
+            : t('The remaining room lasts through {horizon}.', p);
+    const excess = p.alreadyInExcess
+        ? `<span class="text-red-700 font-semibold">${t('You are already in excess as of {from}.', p)}</span>`
+        : p.excessStart
+            ? `<span class="text-red-700">${t('Excess first appears on {date}; stop or reduce the schedule before then.', { date: `<strong>${p.excessStart}</strong>` })}</span>`
+            : t('No excess is created through {horizon}.', p);
+    textEl.innerHTML = `<div>${room}</div><div>${excess}</div>`;
+}
+
+function removeTransaction(id) {
+    transactions = transactions.filter(t => t.id !== id);
+    selectedTxIds.delete(id);
+    renderTxList();
+    recalculateAll();
+}
+
+function startEditTransaction(id) {
+    editingTxId = id;
+    renderTxList();
+}
+
+function finishEditTransaction() {
+    editingTxId = null;
+    renderTxList();
+}
+
+function toggleTxSelection(id, selected) {
+    if (selected) {
+        selectedTxIds.add(id);
+    } else {
+        selectedTxIds.delete(id);
+    }
+    renderBulkBar();
+}
 
-        // Parse Amount (Handle "7,371.84" -> 7371.84)
-        const amount = parseFloat(amountRaw.replace(/,/g, ''));
-        if (isNaN(amount) || amount <= 0) {
-            errors.push(`Line ${i + 1}: Invalid amount: ${amountRaw}`);
-            continue;
-        }
+function selectShownTransactions(selected) {
+    getShownTransactions().shown.forEach(tx => toggleTxSelection(tx.id, selected));
+    renderTxList();
+}
 
-        // Parse Date
-        // Handle "YYYY-MM-DD" AND "2 Jan 2025"
-        let date = dateRaw;
-        const isoRegex = /^\d{4}-\d{2}-\d{2}$/;
-
-        if (!isoRegex.test(date)) {
-            // Try parsing "2 Jan 2025"
-            const parsedDate = new Date(dateRaw);
-            if (!isNaN(parsedDate.getTime())) {
-                // Convert to YYYY-MM-DD for consistency
-                date = parsedDate.toISOString().split('T')[0];
-            } else {
-                errors.push(`Line ${i + 1}: Invalid date: ${dateRaw}`);
-                continue;
-            }
-        }
+function bulkDeleteTransactions() {
+    const count = selectedTxIds.size;
+    if (count === 0 || !confirm(t(count === 1 ? 'Delete {count} selected transaction?' : 'Delete {count} selected transactions?', { count }))) return;
+    transactions = transactions.filter(tx => !selectedTxIds.has(tx.id));
+    selectedTxIds.clear();
+    renderTxList();
+    recalculateAll();
+}
 
-        // Add
-        transactions.push({
-            id: Date.now() + Math.random(),
-            date,
-            type,
-            amount,
-            institution: institution || 'Imported'
-        });
-        addedCount++;
+// Moves the selected transactions (the sending side, for transfers) to another
+// institution; any that would no longer be valid are left as they are
+function bulkChangeInstitution() {
+    const errorEl = document.getElementById('txBulkError');
+    errorEl.classList.add('hidden');
+    const institution = inputs.txBulkInstitution.value;
+    if (!institution) {
+        errorEl.textContent = t('Please select the new institution.');
+        errorEl.classList.remove('hidden');
+        return;
     }
 
-    if (addedCount > 0) {
-        renderTxList();
-        recalculateAll();
-        if (errors.length > 0) {
-            errorEl.textContent = `Imported ${addedCount} items. Skipped ${errors.length} errors. Details: ${errors.join('; ')}`;
-            errorEl.classList.remove('hidden');
-        } else {
-            // Success feedback?
+    const skipped = [];
+    transactions = transactions.map(tx => {
+        if (!selectedTxIds.has(tx.id)) return tx;
+        const updated = { ...tx, institution };
+        const error = validateTransaction(updated);
+        if (error) {
+            skipped.push(t('{date}: {issue}', { date: tx.date, issue: error }));
+            return tx;
         }
-    } else {
-        errorEl.textContent = "No valid transactions found in CSV. Check format.";
+        selectedTxIds.delete(tx.id);
+        return updated;
+    });
+
+    renderTxList();
+    recalculateAll();
+    if (skipped.length > 0) {
+        const notChanged = skipped.length === 1 ? '{count} transaction not changed (still selected).' : '{count} transactions not changed (still selected).';
+        errorEl.textContent = `${t(notChanged, { count: skipped.length })} ${skipped[0]}`;
         errorEl.classList.remove('hidden');
     }
 }
 
-// --- Core Engine ---
-
-/**
- * Calculates daily balances and monthly penalties
- * 
- * Rules:
- * 1. Excess = max(0, Contributions - Room - Withdrawals (careful))
- *    Actually, simpler logic: 
- *    Room Tracking:
- *      - Starts at R0
- *      - Contribution: Room -= Amount
- *      - Withdrawal: Room += Amount (BUT correction only available next year)
- *    
- *    Wait, CRA logic is specifically:
- *    Excess at time t = Contributions(t) - Withdrawals(t) - (StartingRoom + RoomCreatedThisYear)
- *    BUT Withdrawals do NOT create room in the current year.
- *    
- *    So, Effective Excess Logic:
- *    Let unused_room_available = Starting Room
- *    Running Excess = 0
- *    
- *    On Contribution: 
- *       unused_room_available -= amount
- *       if unused_room_available < 0, Excess = abs(unused_room_available)
- *       
- *    On Withdrawal:
- *       Effective Excess is reduced. 
- *       But unused_room_available does NOT increase for the purpose of absorbing future contributions in same year.
- *       
- *    This is tricky. Let's stick to the PRD Formula:
- *    E_t = max(0, C_t - R_0) 
- *    E_t_new = max(0, E_t_old - withdrawal_amount)
- *    
- *    Wait, the PRD formula "E_t = max(0, C_t - R_0)" assumes W_t is 0? 
- *    No, let's use the Ledger approach which is robust.
- *    
- *    Ledger State:
- *    - cumulative_contributions
- *    - cumulative_withdrawals_that_reduced_excess
- *    - diff = (cumulative_contributions - start_room)
- *    - excess = max(0, diff - cumulative_withdrawals) 
- *      ^ No, standard formula is: 
- *      Excess Amount = (Total Contributions) - (Cheque-less Withdrawals) - (TFSA Room)
- *      
- *      Actually, the "Withdrawal Rule":
- *      Withdrawals reduce the *taxable excess* immediately.
- *      They add to Contribution Room *next year*.
- *      
- *      Algorithm:
- *      1. Sort all tx by date.
- *      2. Iterate day by day (Jan 1 to Dec 31).
- *      3. On a day, process all transactions.
- *         - Contrib: Room Used += Amt
- *         - Withdraw: Room Used -= Amt (Wait! Only if currently in excess?)
- *         
- *      Let's look at CRA Example:
- *      Room $10k. Contrib $15k. Excess $5k.
- *      Withdraw $2k. Excess becomes $3k immediately.
- *      Contrib $2k. Excess becomes $5k.
- *      
- *      So, simply:
- *      Current Balance = (Start Room) - (Contributions) + (Withdrawals)
- *      If Balance < 0, then Excess = abs(Balance).
- *      
- *      WAIT. Correct Rule: 
- *      Withdrawals add to room NEXT year.
- *      In current year, they effectively "un-contribute" for the sake of penalty calculation.
- *      
- *      So yes: 
- *      Net_Position = Start_Room - Cumulative_Contributions + Cumulative_Withdrawals
- *      If Net_Position < 0: Excess = abs(Net_Position)
- *      Else: Excess = 0
- *      
- *      Is this always true?
- *      "Qualifying withdrawals" reduce the excess amount.
- *      Yes.
- *      
- *      So the logic is simply tracking the "TFSA Balance relative to Room".
- *      
- *      Let's execute:
- *      Daily Loop 1..365
- *      Apply txs.
- *      Record max excess for that month.
- */
-const ANNUAL_LIMITS = {
-    2023: 6500,
-    2024: 7000,
-    2025: 7000,
-    2026: 7000 // Estimated
-};
+// Year whose Jan 1 room the Starting Room input represents
+function getStartRoomYear() {
+    return inputs.mode.value === 'ledger' ? inputs.firstYear.value : inputs.year.value;
+}
 
-function calculatePenalty(year, startRoom, txs) {
-    // 1. Setup Date Boundaries (UTC)
-    const startDate = new Date(Date.UTC(year, 0, 1)); // Jan 1 00:00 UTC
-    const endDate = new Date(Date.UTC(year, 11, 31)); // Dec 31 00:00 UTC
-
-    // 2. Sort transactions
-    const sortedTxs = [...txs].sort((a, b) => {
-        // Compare string dates directly (YYYY-MM-DD)
-        if (a.date < b.date) return -1;
-        if (a.date > b.date) return 1;
-        return 0;
-    });
-    let txIndex = 0;
-
-    // 3. Initialization
-    let excess = 0;
-    let unusedRoom = 0;
-    let totalWithdrawals = 0; // Track for next year
-    let totalContributions = 0;
-
-    // Handle Starting Condition
-    if (startRoom < 0) {
-        excess = Math.abs(startRoom);
-        unusedRoom = 0;
-    } else {
-        excess = 0;
-        unusedRoom = startRoom;
-    }
-
-    const monthlyMaxExcess = new Array(12).fill(0);
-    const vizDataDates = [];
-    const vizDataExcess = [];
-
-    // 4. Daily Loop (Simulate entire year day-by-day)
-    // We use a pointer 'currentDate' and increment it
-    let iterDate = new Date(startDate);
-
-    while (iterDate <= endDate) {
-        // Format YYYY-MM-DD from UTC parts to avoid timezone shifts
-        const y = iterDate.getUTCFullYear();
-        const m = String(iterDate.getUTCMonth() + 1).padStart(2, '0');
-        const d = String(iterDate.getUTCDate()).padStart(2, '0');
-        const dateStr = `${y}-${m}-${d}`;
-        const monthIndex = iterDate.getUTCMonth();
-
-        // Apply transactions for THIS day
-        while (txIndex < sortedTxs.length) {
-            const tx = sortedTxs[txIndex];
-            if (tx.date === dateStr) {
-                if (tx.type === 'CONTRIBUTION') {
-                    totalContributions += tx.amount;
-                    // Contrib: Consumes Room first, then creates Excess
-                    if (unusedRoom >= tx.amount) {
-                        unusedRoom -= tx.amount;
-                    } else {
-                        const spill = tx.amount - unusedRoom;
-                        unusedRoom = 0;
-                        excess += spill;
-                    }
-                } else if (tx.type === 'WITHDRAWAL') {
-                    totalWithdrawals += tx.amount;
-                    // Withdraw: Reduces Excess immediately.
-                    // Important: Does NOT restore room in current year.
-                    if (excess > 0) {
-                        if (excess >= tx.amount) {
-                            excess -= tx.amount;
-                        } else {
-                            excess = 0;
-                            // Remaining withdrawal amount prevents future excess re-creation in theory?
-                            // No, standard rule: Excess is calculated based on cumulative flow logic usually.
-                            // But here, we just tracking simplistic "bucket" logic which is generally correct for basic cases.
-                            // Technically if I withdraw 5000 (when 0 excess), I don't get 5000 room.
-                            // If I then contribute 5000, I create 5000 excess? Yes.
-                            // Our logic: excess=0. Withdraw 5000. excess=0. Contrib 5000. 
-                            // unusedRoom=0. excess+=5000. 
-                            // CORRECT.
-                        }
-                    }
-                }
-                txIndex++;
-            } else {
-                break; // Tx is in future
-            }
-        }
+function getProfileRoom() {
+    const birthDate = inputs.profileBirthDate.value;
+    if (!birthDate) return null;
 
-        // Track High-Water Mark for the Month
-        if (excess > monthlyMaxExcess[monthIndex]) {
-            monthlyMaxExcess[monthIndex] = excess;
-        }
+    const craRoom = inputs.profileCraRoom.value;
+    const profile = {
+        birthDate: birthDate,
+        residentSince: parseInt(inputs.profileResidentSince.value) || null,
+        craPriorRoom: craRoom === '' ? null : parseFloat(craRoom),
+        residencyPeriods: residencyPeriods
+    };
+    return calculateRoomFromProfile(profile, getStartRoomYear(), getAllTransactions(), { cpiRate: getCpiRate() });
+}
 
-        // Save for Chart
-        vizDataDates.push(dateStr);
-        vizDataExcess.push(excess);
+function renderProfile() {
+    const resultEl = document.getElementById('profileResult');
+    const errorEl = document.getElementById('profileError');
+    const tbody = document.getElementById('profileTableBody');
+    errorEl.classList.add('hidden');
 
-        // Next Day
-        iterDate.setUTCDate(iterDate.getUTCDate() + 1);
+    const built = getProfileRoom();
+    if (!built) {
+        resultEl.classList.add('hidden');
+        return;
     }
 
-    // 5. Finalize Monthly Penalties
-    let totalPenalty = 0;
-    let affectedMonths = 0;
+    tbody.innerHTML = '';
+    built.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="px-2 py-1 font-medium">${row.year}</td>
+            <td class="px-2 py-1 text-right font-mono">${row.note ? `<span class="text-slate-400">${t(row.note)}</span>` : formatCurrency(row.limit)}${row.projected ? `<span class="text-amber-600" title="${t('Projected limit')}">*</span>` : ''}</td>
+            <td class="px-2 py-1 text-right font-mono">${row.netUsed !== 0 ? formatCurrency(row.netUsed) : '-'}</td>
+            <td class="px-2 py-1 text-right font-mono font-semibold ${row.room < 0 ? 'text-red-700' : ''}">${formatCurrency(row.room)}</td>
+        `;
+        tbody.appendChild(tr);
+    });
 
-    const monthlyDetails = monthlyMaxExcess.map((max, idx) => {
-        const penalty = max * 0.01; // 1% Rule
-        totalPenalty += penalty;
-        if (max > 0) affectedMonths++;
+    document.getElementById('profileRoom').textContent = formatCurrency(built.room);
+    resultEl.classList.remove('hidden');
+}
 
-        return {
-            month: MONTHS[idx],
-            maxExcess: max,
-            penalty: penalty,
-            isAffected: max > 0
-        };
-    });
+function applyProfileRoom() {
+    const built = getProfileRoom();
+    if (!built) {
+        const errorEl = document.getElementById('profileError');
+        errorEl.textContent = t('Please enter your date of birth.');
+        errorEl.classList.remove('hidden');
+        return;
+    }
+    inputs.startRoom.value = built.room.toFixed(2);
+    recalculateAll();
+}
 
-    // 6. Calculate Next Year's Room (Refined Logic)
-    // Formula: Room_next = UnusedRoom_end_of_year + Withdrawals_current_year + NewAnnualLimit
+function getCalcOptions() {
+    return { residencyPeriods: residencyPeriods, cpiRate: getCpiRate() };
+}
 
-    // Unused Room at end of year = Starting Room - Total Contributions
-    // This value can be negative (representing excess that consumes next year's room)
-    const unusedRoomEndOfYear = startRoom - totalContributions;
+// Assumed inflation as a fraction (the input is in percent)
+function getCpiRate() {
+    const percent = parseFloat(inputs.cpiRate.value);
+    return isNaN(percent) ? DEFAULT_CPI_RATE : Math.max(0, percent) / 100;
+}
 
-    // Withdrawals from current year are added back next year
-    const withdrawalsToAddBack = totalWithdrawals;
+// Low and high cases are one point either side of the assumed inflation
+const INFLATION_CASES = [
+    { id: 'low', label: 'Low', offset: -0.01 },
+    { id: 'base', label: 'Base', offset: 0 },
+    { id: 'high', label: 'High', offset: 0.01 }
+];
 
-    // New Annual Limit for next year
-    const nextLimit = ANNUAL_LIMITS[parseInt(year) + 1] || 7000;
+function getInflationCases() {
+    const base = getCpiRate();
+    return INFLATION_CASES.map(c => ({ ...c, cpiRate: Math.max(0, base + c.offset) }));
+}
 
-    // Final Calculation
-    const nextYearRoom = unusedRoomEndOfYear + withdrawalsToAddBack + nextLimit;
+const formatPercent = rate => rate.toLocaleString(getLocale(), { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+// Official and projected limits, plus next year's room under each inflation case
+function renderLimitsTable(results) {
+    const compare = inputs.compareInflation.checked;
+    const cases = compare ? getInflationCases() : getInflationCases().filter(c => c.id === 'base');
+    const years = [...inputs.year.options].map(o => parseInt(o.value)).sort((a, b) => a - b);
+
+    document.getElementById('limitsTableHead').innerHTML = `
+        <tr>
+            <th class="px-2 py-1.5">${t('Year')}</th>
+            ${cases.map(c => `<th class="px-2 py-1.5 text-right">${compare ? `${t(c.label)} (${formatPercent(c.cpiRate)})` : t('Limit')}</th>`).join('')}
+            <th class="px-2 py-1.5 text-right">${t('Status')}</th>
+        </tr>
+    `;
+    const tbody = document.getElementById('limitsTableBody');
+    tbody.innerHTML = '';
+    years.forEach(y => {
+        const projected = isProjectedLimit(y);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="px-2 py-1 font-medium">${y}</td>
+            ${cases.map(c => `<td class="px-2 py-1 text-right font-mono">${formatCurrency(annualLimit(y, c.cpiRate))}</td>`).join('')}
+            <td class="px-2 py-1 text-right">${projected
+                ? `<span class="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">${t('Projected')}</span>`
+                : `<span class="px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-800">${t('Official')}</span>`}</td>
+        `;
+        tbody.appendChild(tr);
+    });
 
-    // Current Year Remaining Room
-    // Remaining = max(0, StartRoom - TotalContributions)
-    // Withdrawals do NOT increase room for the CURRENT year.
-    const currentYearRemaining = Math.max(0, startRoom - totalContributions);
+    const comparisonEl = document.getElementById('limitsComparison');
+    comparisonEl.classList.toggle('hidden', !compare);
+    if (!compare) return;
 
-    return {
-        totalPenalty: totalPenalty,
-        peakExcess: Math.max(...monthlyMaxExcess), // This is the yearly peak
-        currentExcess: excess, // The valid ending excess
-        remainingRoom: currentYearRemaining,
-        nextYearLimit: nextYearRoom,
-        // Additional Details for UI
-        totalContributions: totalContributions,
-        totalWithdrawals: totalWithdrawals,
-        unusedRoomEndOfYear: unusedRoomEndOfYear,
-        nextAnnualLimit: nextLimit,
-
-        affectedMonths: affectedMonths,
-        monthlyDetails: monthlyDetails,
-        vizData: { labels: vizDataDates, data: vizDataExcess }
-    };
+    const nextYear = parseInt(inputs.year.value) + 1;
+    const rooms = cases.map(c => {
+        const room = c.id === 'base'
+            ? results.result.nextYearLimit
+            : computeResults(transactions, { ...getCalcOptions(), cpiRate: c.cpiRate }).result.nextYearLimit;
+        return `${t(c.label)} <strong>${formatCurrency(room)}</strong>`;
+    });
+    comparisonEl.innerHTML = isProjectedLimit(nextYear)
+        ? t('Room on Jan 1, {year}: {rooms}', { year: nextYear, rooms: rooms.join(' • ') })
+        : t("The {year} limit is official, so next year's room doesn't depend on inflation.", { year: nextYear });
 }
 
-// --- UI Actions ---
-
-function addTransaction() {
-    const errorEl = inputs.addTxError;
+function addResidencyPeriod() {
+    const errorEl = document.getElementById('residencyError');
     errorEl.classList.add('hidden');
 
-    const date = inputs.txDate.value;
-    const amount = parseFloat(inputs.txAmount.value);
-    const type = inputs.txType.value;
-    const institution = inputs.txInstitution.value;
-    const year = inputs.year.value;
+    const emigrationDate = inputs.emigrationDate.value;
+    const immigrationDate = inputs.immigrationDate.value;
 
-    // Validation
-    if (!institution) {
-        showError('Please select a financial institution.');
-        return;
-    }
-    if (!date || !amount || isNaN(amount)) {
-        showError('Please enter a valid date and amount.');
-        return;
-    }
-    if (amount <= 0) {
-        showError('Amount must be positive.');
+    if (!emigrationDate) {
+        errorEl.textContent = t('Please enter the date you became a non-resident.');
+        errorEl.classList.remove('hidden');
         return;
     }
-    if (date.slice(0, 4) !== year) {
-        showError(`Date must be in ${year}.`);
+    if (immigrationDate && immigrationDate <= emigrationDate) {
+        errorEl.textContent = t('Return date must be after the emigration date.');
+        errorEl.classList.remove('hidden');
         return;
     }
 
-    // Add
-    const tx = {
+    residencyPeriods.push({
         id: Date.now(),
-        date,
-        amount,
-        type,
-        institution
-    };
-    transactions.push(tx);
-
-    // Reset Form (keep date for convenience?)
-    inputs.txAmount.value = '';
-    inputs.txType.value = 'CONTRIBUTION'; // Reset to default
+        emigrationDate,
+        immigrationDate
+    });
+    inputs.emigrationDate.value = '';
+    inputs.immigrationDate.value = '';
 
-    renderTxList();
+    renderResidencyList();
     recalculateAll();
 }
 
-function removeTransaction(id) {
-    transactions = transactions.filter(t => t.id !== id);
-    renderTxList();
+function removeResidencyPeriod(id) {
+    residencyPeriods = residencyPeriods.filter(p => p.id !== id);
+    renderResidencyList();
     recalculateAll();
 }
 
+function renderResidencyList() {
+    const listEl = document.getElementById('residencyList');
+    document.getElementById('residencyCount').textContent = `(${residencyPeriods.length})`;
+    listEl.innerHTML = '';
+
+    [...residencyPeriods].sort((a, b) => a.emigrationDate < b.emigrationDate ? -1 : 1).forEach(p => {
+        const el = document.createElement('div');
+        el.className = 'py-2 flex justify-between items-center';
+        el.innerHTML = `
+            <span class="text-slate-700">${escapeHtml(p.emigrationDate)} → ${escapeHtml(p.immigrationDate || t('present'))}</span>
+            <button onclick="removeResidencyPeriod(${Number(p.id)})" class="text-slate-300 hover:text-red-500 transition-colors p-1" title="${t('Remove')}">
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        `;
+        listEl.appendChild(el);
+    });
+}
+
 function showError(msg) {
     inputs.addTxError.textContent = msg;
     inputs.addTxError.classList.remove('hidden');
 }
 
+// Search text, type, date range and amount range from the list's filter bar
+function getTxFilters() {
+    return {
+        search: inputs.txSearch.value.trim().toLowerCase(),
+        type: inputs.txTypeFilter.value,
+        from: inputs.txDateFrom.value,
+        to: inputs.txDateTo.value,
+        min: parseFloat(inputs.txAmountMin.value),
+        max: parseFloat(inputs.txAmountMax.value)
+    };
+}
+
+function matchesTxFilters(tx, filters) {
+    if (filters.type && tx.type !== filters.type) return false;
+    if (filters.from && tx.date < filters.from) return false;
+    if (filters.to && tx.date > filters.to) return false;
+    if (!isNaN(filters.min) && tx.amount < filters.min) return false;
+    if (!isNaN(filters.max) && tx.amount > filters.max) return false;
+    if (!filters.search) return true;
+    const text = [tx.date, TX_TYPES[tx.type].label, t(TX_TYPES[tx.type].label), tx.institution, tx.toInstitution || '', tx.description || '', tx.note || '', tx.amount.toFixed(2)];
+    return text.join(' ').toLowerCase().includes(filters.search);
+}
+
+/**
+ * Transactions and schedules passing the institution filter and the filter bar.
+ * A schedule is shown when any of its payments passes.
+ */
+function getShownTransactions() {
+    const institution = inputs.txInstitutionFilter.value;
+    const filters = getTxFilters();
+
+    // A transfer belongs to both the institution it leaves and the one it reaches
+    const atInstitution = institution
+        ? transactions.filter(tx => tx.institution === institution || (tx.type === 'TRANSFER' && tx.toInstitution === institution))
+        : transactions;
+    const schedulesAtInstitution = institution ? schedules.filter(sch => sch.institution === institution) : schedules;
+    const scheduled = getScheduledTransactions(transactions);
+
+    return {
+        institution,
+        filtered: institution !== '' || atInstitution.some(tx => !matchesTxFilters(tx, filters)),
+        atInstitution: [...atInstitution, ...scheduled.filter(tx => schedulesAtInstitution.some(sch => sch.id === tx.scheduleId))],
+        shown: atInstitution.filter(tx => matchesTxFilters(tx, filters)),
+        shownSchedules: schedulesAtInstitution.filter(sch => scheduled.some(tx => tx.scheduleId === sch.id && matchesTxFilters(tx, filters)))
+    };
+}
+
+function renderBulkBar() {
+    selectedTxIds.forEach(id => {
+        if (!transactions.some(tx => tx.id === id)) selectedTxIds.delete(id);
+    });
+    document.getElementById('txBulkBar').classList.toggle('hidden', selectedTxIds.size === 0);
+    const selected = selectedTxIds.size;
+    document.getElementById('txBulkCount').textContent = t(selected === 1 ? '{count} transaction selected' : '{count} transactions selected', { count: selected });
+}
+
 function renderTxList() {
     inputs.txList.innerHTML = '';
-    inputs.txCount.textContent = `${transactions.length} items`;
+    renderInstitutionFilter();
+    renderBulkBar();
+
+    const { institution, filtered, atInstitution, shown, shownSchedules } = getShownTransactions();
+    const scheduleText = schedules.length > 0
+        ? ` + ${t(shownSchedules.length === 1 ? '{count} schedule' : '{count} schedules', { count: shownSchedules.length })}`
+        : '';
+    const count = transactions.length;
+    inputs.txCount.textContent = (filtered
+        ? t(count === 1 ? '{shown} of {count} item' : '{shown} of {count} items', { shown: shown.length, count })
+        : t(count === 1 ? '{count} item' : '{count} items', { count })) + scheduleText;
+    document.getElementById('scheduleCount').textContent = `(${schedules.length})`;
+    inputs.txSelectAll.checked = shown.length > 0 && shown.every(tx => selectedTxIds.has(tx.id));
+    renderFilterSummary(institution, atInstitution);
 
     // Sort for display (reverse chrono)
-    const sorted = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const sorted = [...shown].sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    if (sorted.length === 0) {
-        inputs.txList.innerHTML = '<div class="p-8 text-center text-slate-400 text-sm italic">No transactions added yet.</div>';
+    if (sorted.length === 0 && shownSchedules.length === 0) {
+        inputs.txList.innerHTML = transactions.length > 0 || schedules.length > 0
+            ? `<div class="p-8 text-center text-slate-400 text-sm italic">${t('No transactions match the filters.')}</div>`
+            : `<div class="p-8 text-center text-slate-400 text-sm italic">${t('No transactions added yet.')}</div>`;
         return;
     }
 
+    shownSchedules.forEach(sch => inputs.txList.appendChild(renderScheduleGroup(sch)));
+
     sorted.forEach(tx => {
+        if (tx.id === editingTxId) {
+            inputs.txList.appendChild(renderTxEditor(tx));
+            return;
+        }
         const el = document.createElement('div');
         el.className = 'p-3 flex justify-between items-center group hover:bg-slate-50 transition-colors';
-        const isContrib = tx.type === 'CONTRIBUTION';
+        const meta = TX_TYPES[tx.type];
+        const institutionText = escapeHtml(tx.type === 'TRANSFER' ? `${tx.institution} → ${tx.toInstitution}` : tx.institution);
 
         el.innerHTML = `
             <div class="flex items-center gap-3">
-                <div class="w-8 h-8 rounded-full flex items-center justify-center ${isContrib ? 'bg-emerald-100 text-emerald-600' : 'bg-amber-100 text-amber-600'}">
-                    ${isContrib ? '+' : '-'}
+                <input type="checkbox" onchange="toggleTxSelection(${Number(tx.id)}, this.checked)" ${selectedTxIds.has(tx.id) ? 'checked' : ''}
+                    class="rounded border-slate-300" title="${t('Select')}">
+                <div class="w-8 h-8 rounded-full flex items-center justify-center ${meta.badge}">
+                    ${meta.sign}
                 </div>
                 <div>
-                    <div class="text-sm font-medium text-slate-700">${isContrib ? 'Contribution' : 'Withdrawal'} <span class="text-slate-400 font-normal">• ${tx.institution}</span></div>
-                    <div class="text-xs text-slate-500">${tx.date}</div>
+                    <div class="text-sm font-medium text-slate-700">${t(meta.label)} <span class="text-slate-400 font-normal">• ${institutionText}</span></div>
+                    <div class="text-xs text-slate-500">${escapeHtml(tx.date)}${tx.type === 'EXEMPT_CONTRIBUTION' ? ` • ${escapeHtml(t('Survivor rollover, holder died {date}', { date: tx.deathDate }))}` : ''}</div>
+                    ${tx.note ? `<div class="text-xs text-slate-400 italic">${escapeHtml(tx.note)}</div>` : ''}
                 </div>
             </div>
             <div class="flex items-center gap-4">
-                <span class="font-mono text-sm ${isContrib ? 'text-slate-900' : 'text-slate-500'}">
-                    $${tx.amount.toLocaleString(undefined, { minimumFractionDigits: 2 })}
+                <span class="font-mono text-sm ${meta.amount}">
+                    ${formatCurrency(tx.amount)}
                 </span>
-                <button onclick="removeTransaction(${tx.id})" class="text-slate-300 hover:text-red-500 transition-colors p-1" title="Remove">
+                <button onclick="startEditTransaction(${Number(tx.id)})" class="text-slate-300 hover:text-indigo-600 transition-colors p-1" title="${t('Edit')}">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z"></path></svg>
+                </button>
+                <button onclick="removeTransaction(${Number(tx.id)})" class="text-slate-300 hover:text-red-500 transition-colors p-1" title="${t('Remove')}">
                     <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                 </button>
             </div>
@@ -513,14 +2685,239 @@ function renderTxList() {
     });
 }
 
-function recalculateAll() {
+// Institution options from the add form, plus the current value if it was imported under another name
+function fillInstitutionSelect(select, value) {
+    select.innerHTML = inputs.txInstitution.innerHTML;
+    if (value && ![...select.options].some(o => o.value === value)) select.add(new Option(value, value));
+    select.value = value || '';
+}
+
+/**
+ * A transaction as editable fields. Every valid change is saved and the
+ * penalty recalculated straight away; an invalid one is held back with the
+ * same message the add form would give.
+ */
+function renderTxEditor(tx) {
+    const field = 'w-full text-sm rounded border-slate-300 shadow-sm focus:border-cra-red focus:ring-1 focus:ring-cra-red py-1.5 px-2 border';
+    const el = document.createElement('div');
+    el.className = 'p-3 space-y-2 bg-indigo-50/50';
+    el.innerHTML = `
+        <div class="grid grid-cols-2 gap-2">
+            <input type="date" data-field="date" value="${escapeHtml(tx.date)}" class="${field}">
+            <select data-field="type" class="${field}">
+                ${Object.entries(TX_TYPES).map(([type, meta]) => `<option value="${type}" ${type === tx.type ? 'selected' : ''}>${t(meta.label)}</option>`).join('')}
+            </select>
+            <select data-field="institution" class="${field}"></select>
+            <input type="number" data-field="amount" value="${escapeHtml(tx.amount)}" step="0.01" min="0" class="${field}">
+            <select data-field="toInstitution" class="${field}" title="${t('To institution')}"></select>
+            <input type="date" data-field="deathDate" value="${escapeHtml(tx.deathDate || '')}" class="${field}" title="${t("Holder's date of death")}">
+        </div>
+        <input type="text" data-field="note" value="${escapeHtml(tx.note || '')}" placeholder="${t('Note')}" class="${field}">
+        <div class="flex items-center justify-between gap-2">
+            <p data-role="error" class="text-xs text-red-600"></p>
+            <button onclick="finishEditTransaction()"
+                class="bg-slate-800 hover:bg-slate-900 text-white text-xs font-medium py-1 px-3 rounded shadow transition-colors">${t('Done')}</button>
+        </div>
+    `;
+
+    const input = name => el.querySelector(`[data-field="${name}"]`);
+    fillInstitutionSelect(input('institution'), tx.institution);
+    fillInstitutionSelect(input('toInstitution'), tx.toInstitution);
+
+    const update = () => {
+        const type = input('type').value;
+        input('toInstitution').classList.toggle('hidden', type !== 'TRANSFER');
+        input('deathDate').classList.toggle('hidden', type !== 'EXEMPT_CONTRIBUTION');
+
+        const { toInstitution, deathDate, designationDate, note, ...base } = tx;
+        const draft = {
+            ...base,
+            date: input('date').value,
+            type,
+            amount: parseFloat(input('amount').value),
+            institution: input('institution').value
+        };
+        if (type === 'TRANSFER') draft.toInstitution = input('toInstitution').value;
+        if (type === 'EXEMPT_CONTRIBUTION') {
+            draft.deathDate = input('deathDate').value;
+            draft.designationDate = designationDate || '';
+        }
+        if (input('note').value.trim()) draft.note = input('note').value.trim();
+
+        const error = validateTransaction(draft);
+        el.querySelector('[data-role="error"]').textContent = error || '';
+        if (error) return;
+        transactions = transactions.map(t => t.id === tx.id ? draft : t);
+        recalculateAll();
+    };
+    el.querySelectorAll('[data-field]').forEach(f => f.addEventListener('input', update));
+    input('toInstitution').classList.toggle('hidden', tx.type !== 'TRANSFER');
+    input('deathDate').classList.toggle('hidden', tx.type !== 'EXEMPT_CONTRIBUTION');
+    return el;
+}
+
+const SCHEDULE_FREQUENCY_LABELS = {
+    WEEKLY: 'Weekly',
+    BIWEEKLY: 'Every 2 weeks',
+    MONTHLY: 'Monthly',
+    QUARTERLY: 'Quarterly',
+    ANNUALLY: 'Yearly'
+};
+
+// A schedule as one collapsible row; its payments are listed when expanded
+function renderScheduleGroup(sch) {
+    const meta = TX_TYPES[sch.type];
+    const payments = expandSchedule(sch, `${getLedgerLastYear(transactions) + 1}-12-31`);
+    const frequency = t(SCHEDULE_FREQUENCY_LABELS[sch.frequency]);
+    const type = t(meta.label);
+    // Word order differs by language ("Monthly contribution", "Cotisation chaque mois")
+    const title = t('{frequency} {typeLower}', { frequency, type, frequencyLower: frequency.toLowerCase(), typeLower: type.toLowerCase() });
+    const el = document.createElement('details');
+    el.className = 'group hover:bg-slate-50 transition-colors';
+    el.innerHTML = `
+        <summary class="p-3 flex justify-between items-center cursor-pointer list-none">
+            <div class="flex items-center gap-3">
+                <div class="w-8 h-8 rounded-full flex items-center justify-center ${meta.badge}">↻</div>
+                <div>
+                    <div class="text-sm font-medium text-slate-700">${title} <span class="text-slate-400 font-normal">• ${escapeHtml(sch.institution)}</span></div>
+                    <div class="text-xs text-slate-500">${escapeHtml(sch.startDate)} → ${escapeHtml(sch.endDate || t('no end date'))} • ${t(payments.length === 1 ? '{count} payment' : '{count} payments', { count: payments.length })}${sch.endDate ? '' : ` ${t('to {date}', { date: payments.length ? payments[payments.length - 1].date : sch.startDate })}`}</div>
+                </div>
+            </div>
+            <div class="flex items-center gap-4">
+                <span class="font-mono text-sm ${meta.amount}">
+                    ${meta.sign}${formatCurrency(sch.amount)}
+                </span>
+                <button onclick="event.preventDefault(); removeSchedule(${Number(sch.id)})" class="text-slate-300 hover:text-red-500 transition-colors p-1" title="${t('Remove schedule')}">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+                </button>
+            </div>
+        </summary>
+        <div class="pl-14 pr-3 pb-3 grid grid-cols-2 gap-x-4 text-xs text-slate-500 font-mono">
+            ${payments.map(tx => `<div>${tx.date}</div>`).join('')}
+        </div>
+    `;
+    return el;
+}
+
+// Rebuilds the institution filter from the current transactions; returns the selection
+function renderInstitutionFilter() {
+    const select = inputs.txInstitutionFilter;
+    const selected = select.value;
+    const names = [...new Set([...transactions, ...schedules].flatMap(tx => tx.type === 'TRANSFER' ? [tx.institution, tx.toInstitution] : [tx.institution]))]
+        .sort((a, b) => a.localeCompare(b));
+
+    select.innerHTML = '';
+    select.add(new Option(t('All institutions'), ''));
+    names.forEach(name => select.add(new Option(name, name)));
+    select.value = names.includes(selected) ? selected : '';
+    return select.value;
+}
+
+// Totals for one institution, to compare against its statement
+function renderFilterSummary(institution, shown) {
+    const summaryEl = inputs.txFilterSummary;
+    summaryEl.classList.toggle('hidden', !institution);
+    if (!institution) return;
+
+    const sum = list => list.reduce((total, tx) => total + Math.round(tx.amount * 100), 0) / 100;
+    const contributions = sum(shown.filter(tx => tx.type === 'CONTRIBUTION' || tx.type === 'EXEMPT_CONTRIBUTION'));
+    const withdrawals = sum(shown.filter(tx => tx.type === 'WITHDRAWAL'));
+    const transfersIn = sum(shown.filter(tx => tx.type === 'TRANSFER' && tx.toInstitution === institution));
+    const transfersOut = sum(shown.filter(tx => tx.type === 'TRANSFER' && tx.institution === institution));
+
+    const params = {
+        institution,
+        contributions: formatCurrency(contributions),
+        withdrawals: formatCurrency(withdrawals),
+        transfersIn: formatCurrency(transfersIn),
+        transfersOut: formatCurrency(transfersOut)
+    };
+    summaryEl.textContent = t('All years at {institution}: {contributions} contributed, {withdrawals} withdrawn', params) +
+        (transfersIn || transfersOut ? t(', {transfersIn} transferred in, {transfersOut} transferred out', params) : '');
+}
+
+// Years offered past the last announced limit (or this year, if later)
+const PROJECTED_YEARS = 5;
+
+function populateYearOptions() {
+    const years = Object.keys(ANNUAL_LIMITS).map(Number);
+    const lastYear = Math.max(...years, new Date().getFullYear()) + PROJECTED_YEARS;
+
+    inputs.year.innerHTML = '';
+    inputs.firstYear.innerHTML = '';
+    for (let y = lastYear; y >= years[0]; y--) {
+        inputs.year.add(new Option(isProjectedLimit(y) ? t('{year} (projected limit)', { year: y }) : y, y));
+    }
+    for (let y = years[0]; y <= lastYear; y++) {
+        inputs.firstYear.add(new Option(y, y));
+    }
+    inputs.year.value = Math.max(...years);
+}
+
+// Ledger runs up to today, or further if transactions are dated later
+function getLedgerLastYear(txList) {
+    const txYears = [...txList, ...schedules.map(sch => ({ date: sch.startDate }))].map(t => parseInt(t.date.slice(0, 4)));
+    return Math.max(new Date().getFullYear(), parseInt(inputs.year.value), ...txYears);
+}
+
+// Schedule payments up to Dec 31 of the year after the last calculated one,
+// so open-ended schedules can be projected past the year shown
+function getScheduledTransactions(txList) {
+    const untilDate = `${getLedgerLastYear(txList) + 1}-12-31`;
+    return schedules.flatMap(sch => expandSchedule(sch, untilDate));
+}
+
+// One-off transactions plus every scheduled payment
+function getAllTransactions() {
+    return [...transactions, ...getScheduledTransactions(transactions)];
+}
+
+function selectLedgerYear(year) {
+    inputs.year.value = year;
+    recalculateAll();
+}
+
+/**
+ * Runs the engine for the current setup over a transaction list.
+ * totalPenalty covers every ledger year in ledger mode, else the selected year.
+ */
+function computeResults(oneOffTxs, options = getCalcOptions()) {
+    const isLedger = inputs.mode.value === 'ledger';
     const year = inputs.year.value;
     const startRoom = parseFloat(inputs.startRoom.value) || 0;
+    const txList = [...oneOffTxs, ...getScheduledTransactions(oneOffTxs)];
+
+    if (isLedger) {
+        // Starting room applies to the first ledger year; later years inherit it
+        const ledger = calculateLedger(inputs.firstYear.value, startRoom, txList, getLedgerLastYear(oneOffTxs), options);
+        const entry = ledger.years.find(e => e.year === parseInt(year));
+        return { result: entry.result, ledger: ledger, totalPenalty: ledger.totalPenalty };
+    }
+
+    const result = calculatePenalty(year, startRoom, txList, options);
+    return { result: result, ledger: null, totalPenalty: result.totalPenalty };
+}
 
-    const result = calculatePenalty(year, startRoom, transactions);
+function recalculateAll() {
+    const isLedger = inputs.mode.value === 'ledger';
+    const firstYear = inputs.firstYear.value;
+    if (isLedger && parseInt(inputs.year.value) < parseInt(firstYear)) {
+        inputs.year.value = firstYear;
+    }
+
+    const year = inputs.year.value;
+    const results = computeResults(transactions);
+    const { result, ledger } = results;
+    if (ledger) {
+        renderLedgerTable(ledger, parseInt(year));
+    }
+
+    document.getElementById('firstYearField').classList.toggle('hidden', !isLedger);
+    outputs.ledgerSection.classList.toggle('hidden', !isLedger);
 
     // Update Summary
     outputs.totalPenalty.textContent = formatCurrency(result.totalPenalty);
+    outputs.nonResidentTax.textContent = formatCurrency(result.totalNonResidentTax);
     outputs.peakExcess.textContent = formatCurrency(result.peakExcess);
     outputs.monthsAffected.textContent = result.affectedMonths;
     if (outputs.remainingRoom) {
@@ -543,93 +2940,326 @@ function recalculateAll() {
     const remainingRoomLabel = document.getElementById('remainingRoomLabel');
     const nextYearRoomLabel = document.getElementById('nextYearRoomLabel');
 
-    if (startRoomLabel) startRoomLabel.textContent = `On Jan 1st of ${year}`;
-    if (remainingRoomLabel) remainingRoomLabel.textContent = `Available to contribute in ${year}`;
-    if (nextYearRoomLabel) nextYearRoomLabel.textContent = `Est. Limit on Jan 1, ${parseInt(year) + 1}`;
+    const calcYearLabel = document.getElementById('calcYearLabel');
+
+    if (startRoomLabel) startRoomLabel.textContent = t('On Jan 1st of {year}', { year: isLedger ? firstYear : year });
+    if (calcYearLabel) calcYearLabel.textContent = t(isLedger ? 'Year Shown in Detail' : 'Calculation Year');
+    if (remainingRoomLabel) remainingRoomLabel.textContent = t('Available to contribute in {year}', { year });
+    if (nextYearRoomLabel) {
+        nextYearRoomLabel.textContent = t('Est. Limit on Jan 1, {year}', { year: parseInt(year) + 1 }) +
+            (isProjectedLimit(parseInt(year) + 1) ? ` ${t('(projected at {rate} inflation)', { rate: formatPercent(getCpiRate()) })}` : '');
+    }
     if (outputs.totalWithdrawals) outputs.totalWithdrawals.textContent = formatCurrency(result.totalWithdrawals);
 
     // Update Table Footer
     outputs.tableTotalPenalty.textContent = formatCurrency(result.totalPenalty);
+    outputs.tableNonResidentTax.textContent = formatCurrency(result.totalNonResidentTax);
     outputs.tableMaxExcess.textContent = formatCurrency(result.peakExcess);
 
     // Update Table
     renderMonthlyTable(result.monthlyDetails);
+    renderProfile();
+
+    renderInstitutionTable(summarizeByInstitution(getAllTransactions(), year), result);
+
+    renderScheduleProjection(results);
+    renderLimitsTable(results);
+    renderHousehold();
+    renderRc243Notice(result, year);
 
     // Update Chart
-    renderChart(result.monthlyDetails);
+    renderChart(result);
+    renderReconciliation(results);
+    renderWaiverPeriods(results);
+
+    saveState();
 }
 
 function renderMonthlyTable(monthlyData) {
     outputs.monthlyTableBody.innerHTML = '';
 
-    monthlyData.forEach(m => {
+    monthlyData.forEach((m, i) => {
         const tr = document.createElement('tr');
         tr.className = m.isAffected ? 'bg-red-50/50' : '';
+        const flagsHtml = m.flags.map(f => `<div class="text-[11px] font-normal text-amber-700">⚠ ${escapeHtml(translateMessage(language, f))}</div>`).join('');
         tr.innerHTML = `
-            <td class="px-6 py-3 font-medium ${m.isAffected ? 'text-red-700' : ''}">${m.month}</td>
+            <td class="px-6 py-3 font-medium ${m.isAffected ? 'text-red-700' : ''}">${monthName(i)}${flagsHtml}</td>
             <td class="px-6 py-3 text-right font-mono text-slate-600 transition-colors ${m.isAffected ? 'font-semibold text-red-700' : ''}">
                 ${m.maxExcess > 0 ? formatCurrency(m.maxExcess) : '-'}
             </td>
             <td class="px-6 py-3 text-right font-mono text-slate-600 transition-colors ${m.isAffected ? 'font-semibold text-red-700' : ''}">
                 ${m.penalty > 0 ? formatCurrency(m.penalty) : '-'}
             </td>
+            <td class="px-6 py-3 text-right font-mono text-slate-600 ${m.maxNonResident > 0 ? 'font-semibold text-red-700' : ''}">
+                ${m.maxNonResident > 0 ? formatCurrency(m.maxNonResident) : '-'}
+            </td>
+            <td class="px-6 py-3 text-right font-mono text-slate-600 ${m.nonResidentTax > 0 ? 'font-semibold text-red-700' : ''}">
+                ${m.nonResidentTax > 0 ? formatCurrency(m.nonResidentTax) : '-'}
+            </td>
             <td class="px-6 py-3 text-center">
                 ${m.isAffected ? '<span class="inline-block w-2 h-2 rounded-full bg-red-500"></span>' : '<span class="inline-block w-2 h-2 rounded-full bg-slate-200"></span>'}
+                ${m.flags.length > 0 ? '<span class="inline-block w-2 h-2 rounded-full bg-amber-400"></span>' : ''}
             </td>
         `;
         outputs.monthlyTableBody.appendChild(tr);
     });
 }
 
-function renderChart(monthlyData) {
-    const ctx = outputs.chartCanvas.getContext('2d');
+function renderLedgerTable(ledger, selectedYear) {
+    outputs.ledgerTableBody.innerHTML = '';
+    outputs.ledgerTotalPenalty.textContent = formatCurrency(ledger.totalPenalty);
+    document.getElementById('ledgerNonResidentTax').textContent = formatCurrency(ledger.totalNonResidentTax);
+    document.getElementById('ledgerNonResidentTaxWrap').classList.toggle('hidden', ledger.totalNonResidentTax === 0);
+
+    ledger.years.forEach(entry => {
+        const r = entry.result;
+        const isSelected = entry.year === selectedYear;
+        const isAffected = r.totalPenalty > 0;
+        const tr = document.createElement('tr');
+        tr.className = `cursor-pointer hover:bg-slate-50 ${isSelected ? 'bg-indigo-50' : isAffected ? 'bg-red-50/50' : ''}`;
+        tr.onclick = () => selectLedgerYear(entry.year);
+        tr.innerHTML = `
+            <td class="px-4 py-2 font-medium ${isSelected ? 'text-indigo-700' : ''}">${entry.year}</td>
+            <td class="px-4 py-2 text-right font-mono ${entry.startRoom < 0 ? 'text-red-700' : ''}">${formatCurrency(entry.startRoom)}</td>
+            <td class="px-4 py-2 text-right font-mono">${r.totalContributions > 0 ? formatCurrency(r.totalContributions) : '-'}</td>
+            <td class="px-4 py-2 text-right font-mono">${r.totalWithdrawals > 0 ? formatCurrency(r.totalWithdrawals) : '-'}</td>
+            <td class="px-4 py-2 text-right font-mono ${isAffected ? 'font-semibold text-red-700' : ''}">${r.peakExcess > 0 ? formatCurrency(r.peakExcess) : '-'}</td>
+            <td class="px-4 py-2 text-right font-mono ${isAffected ? 'font-semibold text-red-700' : ''}">${r.totalPenalty > 0 ? formatCurrency(r.totalPenalty) : '-'}</td>
+            <td class="px-4 py-2 text-right font-mono ${r.totalNonResidentTax > 0 ? 'font-semibold text-red-700' : ''}">${r.totalNonResidentTax > 0 ? formatCurrency(r.totalNonResidentTax) : '-'}</td>
+            <td class="px-4 py-2 text-right font-mono">${formatCurrency(entry.cumulativePenalty)}</td>
+        `;
+        outputs.ledgerTableBody.appendChild(tr);
+    });
+}
+
+function renderInstitutionTable(rows, result) {
+    outputs.institutionTableBody.innerHTML = '';
+
+    // Shares held at the year's (first) peak
+    const peakIndex = result.monthlyDetails.findIndex(m => m.maxExcess === result.peakExcess && m.maxExcess > 0);
+    const shares = peakIndex >= 0 ? result.monthlyDetails[peakIndex].excessByInstitution : {};
+    const carried = shares[CARRIED_EXCESS] ? [{ institution: CARRIED_EXCESS, carried: true }] : [];
+
+    if (rows.length === 0 && carried.length === 0) {
+        outputs.institutionTableBody.innerHTML = `<tr><td colspan="5" class="px-6 py-6 text-center text-slate-400">${t('No contributions or withdrawals this year.')}</td></tr>`;
+        return;
+    }
+
+    [...carried, ...rows].forEach(row => {
+        const share = shares[row.institution] || 0;
+        const tr = document.createElement('tr');
+        tr.className = share > 0 ? 'bg-red-50/50' : '';
+        tr.innerHTML = `
+            <td class="px-6 py-3 font-medium ${row.carried ? 'italic text-slate-500' : ''}">${escapeHtml(row.carried ? t(row.institution) : row.institution)}</td>
+            <td class="px-6 py-3 text-right font-mono">${row.carried ? '-' : formatCurrency(row.contributions)}</td>
+            <td class="px-6 py-3 text-right font-mono">${row.carried ? '-' : formatCurrency(row.withdrawals)}</td>
+            <td class="px-6 py-3 text-right font-mono">${row.carried ? '-' : formatCurrency(row.net)}</td>
+            <td class="px-6 py-3 text-right font-mono ${share > 0 ? 'font-semibold text-red-700' : ''}">${share > 0 ? `${formatCurrency(share)} (${monthName(peakIndex)})` : '-'}</td>
+        `;
+        outputs.institutionTableBody.appendChild(tr);
+    });
+}
+
+function setChartView(view) {
+    chartView = view;
+    renderChart(computeResults(transactions).result);
+}
+
+function setChartMonth(month) {
+    chartMonth = month;
+    renderChart(computeResults(transactions).result);
+}
 
+function renderChart(result) {
     if (chartInstance) {
         chartInstance.destroy();
     }
 
-    // Extract Data for Chart
-    const labels = monthlyData.map(m => m.month);
-    const data = monthlyData.map(m => m.maxExcess);
-    // Dynamic color: Red if penalty exists
-    const backgroundColors = monthlyData.map(m => m.maxExcess > 0 ? 'rgba(211, 47, 47, 0.7)' : 'rgba(148, 163, 184, 0.2)');
-    const borderColors = monthlyData.map(m => m.maxExcess > 0 ? '#D32F2F' : '#cbd5e1');
+    const isDaily = chartView === 'daily';
+    const active = 'bg-slate-800 text-white';
+    const inactive = 'bg-white text-slate-600 hover:bg-slate-100';
+    document.getElementById('chartViewDaily').className = `px-3 py-1 transition-colors ${isDaily ? active : inactive}`;
+    document.getElementById('chartViewMonthly').className = `px-3 py-1 border-l border-slate-300 transition-colors ${isDaily ? inactive : active}`;
+    outputs.chartMonth.classList.toggle('hidden', !isDaily);
+    outputs.chartMonth.value = chartMonth;
+    outputs.chartCaption.textContent = isDaily
+        ? t('Excess and room available at the end of each day')
+        : t('Monthly peak excess, by the institution whose deposits created it');
+
+    if (isDaily) {
+        renderDailyChart(result, inputs.year.value);
+    } else {
+        renderMonthlyChart(result.monthlyDetails);
+    }
+}
+
+function renderDailyChart(result, year) {
+    const ctx = outputs.chartCanvas.getContext('2d');
+
+    // Whole year, or one month when zoomed in
+    const month = chartMonth === '' ? null : parseInt(chartMonth);
+    const from = month === null ? `${year}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    const to = month === null ? `${year}-12-31` : addDays(month === 11 ? `${parseInt(year) + 1}-01-01` : `${year}-${String(month + 2).padStart(2, '0')}-01`, -1);
+    const days = dailyBalances(result.timeline, from, to);
+    const labels = days.map(d => d.date);
+
+    // Markers sit on the excess line on the day of each contribution or withdrawal
+    const txsByDate = {};
+    getAllTransactions()
+        .filter(tx => tx.date >= from && tx.date <= to && tx.type !== 'TRANSFER')
+        .forEach(tx => (txsByDate[tx.date] = txsByDate[tx.date] || []).push(tx));
+    const markers = (isMatch) => days.map(d => (txsByDate[d.date] || []).some(isMatch) ? d.excess : null);
+
+    const markerDataset = (label, color, rotation, isMatch) => ({
+        type: 'line',
+        label: label,
+        data: markers(isMatch),
+        showLine: false,
+        pointStyle: 'triangle',
+        rotation: rotation,
+        pointRadius: 6,
+        pointHoverRadius: 8,
+        pointBackgroundColor: color,
+        pointBorderColor: color
+    });
+
+    chartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [
+                markerDataset(t('Contributions'), '#059669', 0, tx => tx.type !== 'WITHDRAWAL'),
+                markerDataset(t('Withdrawals'), '#d97706', 180, tx => tx.type === 'WITHDRAWAL'),
+                {
+                    label: t('Excess Amount'),
+                    data: days.map(d => d.excess),
+                    borderColor: '#D32F2F',
+                    backgroundColor: 'rgba(211, 47, 47, 0.15)',
+                    fill: true,
+                    stepped: true,
+                    borderWidth: 2,
+                    pointRadius: 0
+                },
+                {
+                    label: t('Room Available'),
+                    data: days.map(d => d.unusedRoom),
+                    borderColor: '#94a3b8',
+                    backgroundColor: 'rgba(148, 163, 184, 0.1)',
+                    fill: true,
+                    stepped: true,
+                    borderWidth: 2,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { boxWidth: 12, font: { size: 11 }, usePointStyle: true }
+                },
+                tooltip: {
+                    filter: (item) => item.datasetIndex >= 2,
+                    callbacks: {
+                        label: (ctx) => t('{label}: {amount}', { label: ctx.dataset.label, amount: formatCurrency(ctx.raw) }),
+                        afterBody: (items) => (txsByDate[labels[items[0].dataIndex]] || [])
+                            .map(tx => `${t(TX_TYPES[tx.type].label)} ${formatCurrency(tx.amount)} (${tx.institution})`)
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        autoSkip: false,
+                        maxRotation: 0,
+                        // Month names across the year, day numbers within a month
+                        callback: function (value) {
+                            const date = this.getLabelForValue(value);
+                            if (month !== null) {
+                                return parseInt(date.slice(8)) % 5 === 1 ? parseInt(date.slice(8)) : null;
+                            }
+                            return date.slice(8) === '01' ? monthName(parseInt(date.slice(5, 7)) - 1) : null;
+                        }
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: { borderDash: [2, 4] },
+                    ticks: {
+                        callback: function (value) {
+                            return formatAxisAmount(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderMonthlyChart(monthlyData) {
+    const ctx = outputs.chartCanvas.getContext('2d');
+
+    // One stacked dataset per institution holding part of a monthly peak
+    const labels = monthlyData.map((m, i) => monthName(i));
+    const institutions = [...new Set(monthlyData.flatMap(m => Object.keys(m.excessByInstitution)))];
+    let colorIndex = 0;
+    const datasets = institutions.map(name => {
+        const color = name === CARRIED_EXCESS ? CARRIED_EXCESS_COLOR : INSTITUTION_COLORS[colorIndex++ % INSTITUTION_COLORS.length];
+        return {
+            label: name === CARRIED_EXCESS ? t(name) : name,
+            data: monthlyData.map(m => m.excessByInstitution[name] || 0),
+            backgroundColor: color + 'b3', // ~70% opacity
+            borderColor: color,
+            borderWidth: 1,
+            borderRadius: 4,
+            barPercentage: 0.6
+        };
+    });
 
     chartInstance = new Chart(ctx, {
         type: 'bar',
         data: {
             labels: labels,
-            datasets: [{
-                label: 'Taxable Excess (Monthly Peak)',
-                data: data,
-                backgroundColor: backgroundColors,
-                borderColor: borderColors,
-                borderWidth: 1,
-                borderRadius: 4,
-                barPercentage: 0.6
-            }]
+            datasets: datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Clicking a month opens it in the daily view
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                chartMonth = String(elements[0].index);
+                setChartView('daily');
+            },
             plugins: {
-                legend: { display: false },
+                legend: {
+                    display: datasets.length > 0,
+                    position: 'bottom',
+                    labels: { boxWidth: 12, font: { size: 11 } }
+                },
                 tooltip: {
                     callbacks: {
-                        label: (ctx) => `Max Excess: ${formatCurrency(ctx.raw)}`
+                        label: (ctx) => t('{label}: {amount}', { label: ctx.dataset.label, amount: formatCurrency(ctx.raw) }),
+                        footer: (items) => t('Max Excess: {amount}', { amount: formatCurrency(monthlyData[items[0].dataIndex].maxExcess) })
                     }
                 }
             },
             scales: {
                 x: {
+                    stacked: true,
                     grid: { display: false }
                 },
                 y: {
+                    stacked: true,
                     beginAtZero: true,
                     grid: { borderDash: [2, 4] },
                     ticks: {
                         callback: function (value) {
-                            return '$' + value;
+                            return formatAxisAmount(value);
                         }
                     }
                 }
@@ -639,5 +3269,10 @@ function renderChart(monthlyData) {
 }
 
 function formatCurrency(num) {
-    return new Intl.NumberFormat('en-CA', { style: 'currency', currency: 'CAD' }).format(num);
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency: 'CAD' }).format(num);
+}
+
+// Whole dollars for chart axes
+function formatAxisAmount(num) {
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency: 'CAD', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(num);
 }
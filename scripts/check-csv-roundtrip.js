@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Writes transactions the way the ledger export does (toCsv, every column of
+ * the template preset) and reads them back through the importer (readCsv,
+ * mapCsvRows), checking that every field survives, including names with
+ * quotes, commas and line breaks and the dates of a survivor rollover.
+ *
+ * Usage: node scripts/check-csv-roundtrip.js
+ *
+ * Exits with 1 when any value differs.
+ */
+const { TEMPLATE_PRESET, readCsv, mapCsvRows, parseCsvRows, toCsv } = require('../csv');
+
+const transactions = [
+    { date: '2025-01-15', type: 'CONTRIBUTION', label: 'Contribution', amount: 5000, institution: 'RBC' },
+    { date: '2025-02-01', type: 'WITHDRAWAL', label: 'Withdrawal', amount: 1234.5, institution: 'He said "hi", ok', note: 'Car, "used"' },
+    { date: '2025-03-10', type: 'TRANSFER', label: 'Transfer', amount: 3000, institution: 'Questrade, Inc.', toInstitution: '"Wealthsimple"' },
+    { date: '2025-04-20', type: 'CONTRIBUTION', label: 'Contribution', amount: 0.01, institution: 'Line one\nline two', description: 'Payroll\ndeposit' },
+    { date: '2025-05-05', type: 'CONTRIBUTION', label: 'Contribution', amount: 750, institution: '""' },
+    {
+        date: '2025-06-30', type: 'EXEMPT_CONTRIBUTION', label: 'Exempt Contribution', amount: 20000, institution: 'TD',
+        description: 'Survivor payment', note: 'RC240 filed', deathDate: '2025-03-02', designationDate: '2025-07-15'
+    }
+];
+
+// Same rows as exportLedgerCsv in script.js
+const rows = [Object.values(TEMPLATE_PRESET.columns)];
+transactions.forEach(tx => rows.push([tx.date, tx.label, tx.amount.toFixed(2), tx.institution, tx.toInstitution || '',
+    tx.description || '', tx.note || '', tx.deathDate || '', tx.designationDate || '']));
+const text = toCsv(rows);
+
+const failures = [];
+
+// Cell by cell, before any mapping
+const cells = parseCsvRows(text);
+rows.forEach((row, r) => row.forEach((value, c) => {
+    if (!cells[r] || cells[r][c] !== value) {
+        failures.push(`Row ${r + 1}, column ${c + 1}: wrote ${JSON.stringify(value)}, read ${JSON.stringify(cells[r] && cells[r][c])}`);
+    }
+}));
+
+// Through the importer, as a file in the template layout
+const fields = ['date', 'type', 'amount', 'institution', 'toInstitution', 'description', 'note', 'deathDate', 'designationDate'];
+const imported = mapCsvRows(readCsv(text), TEMPLATE_PRESET);
+transactions.forEach((tx, i) => {
+    const row = imported[i];
+    if (!row || row.error) {
+        failures.push(`Transaction ${i + 1}: ${row ? row.error : 'missing'}`);
+        return;
+    }
+    fields.forEach(field => {
+        if (row.tx[field] !== tx[field]) {
+            failures.push(`Transaction ${i + 1} ${field}: wrote ${JSON.stringify(tx[field])}, read ${JSON.stringify(row.tx[field])}`);
+        }
+    });
+});
+if (imported.length !== transactions.length) {
+    failures.push(`Wrote ${transactions.length} transactions, read ${imported.length}`);
+}
+
+if (failures.length > 0) {
+    failures.forEach(f => console.error(f));
+    process.exit(1);
+}
+console.log(`All ${transactions.length} transactions round-trip.`);
@@ -0,0 +1,115 @@
+/**
+ * TFSA Penalty Calculator Share Links
+ *
+ * Packs a scenario into a URL fragment, which browsers never send to a server:
+ * JSON compressed with deflate and written as base64url, optionally encrypted
+ * with a key derived from a passphrase (PBKDF2, AES-GCM). No DOM access; loads
+ * as browser globals or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    'use strict';
+
+    // Mail and chat apps, and some browsers, cut links longer than about 2,000 characters
+    const MAX_SHARE_URL_LENGTH = 2000;
+
+    const PBKDF2_ITERATIONS = 250000;
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Fragment (without '#') carrying data: "share=z.<compressed>", or with a
+     * passphrase "share=e.<salt>.<iv>.<encrypted>", where a fresh random salt
+     * and IV travel with each link.
+     */
+    async function encodeShareFragment(data, passphrase) {
+        const packed = await pipeBytes(new TextEncoder().encode(JSON.stringify(data)), new CompressionStream('deflate-raw'));
+        if (!passphrase) return `share=z.${toBase64Url(packed)}`;
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await deriveKey(passphrase, salt);
+        const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, packed));
+        return `share=e.${[salt, iv, sealed].map(toBase64Url).join('.')}`;
+    }
+
+    /**
+     * Reads a location hash (with or without '#'). Returns null when it holds
+     * no share link, otherwise { locked } telling whether a passphrase is needed.
+     */
+    function parseShareFragment(fragment) {
+        const match = String(fragment).replace(/^#/, '').match(/^share=([ze])\.([A-Za-z0-9_.-]+)$/);
+        if (!match) return null;
+        const parts = match[2].split('.');
+        if (parts.length !== (match[1] === 'e' ? 3 : 1)) return null;
+        return { locked: match[1] === 'e', parts };
+    }
+
+    /**
+     * Data packed by encodeShareFragment. Throws when the passphrase is wrong
+     * or the link was cut short or altered.
+     */
+    async function decodeShareFragment(fragment, passphrase) {
+        const link = parseShareFragment(fragment);
+        if (!link) throw new Error('This link is damaged or incomplete');
+
+        let packed;
+        try {
+            const parts = link.parts.map(fromBase64Url);
+            if (link.locked) {
+                const key = await deriveKey(passphrase || '', parts[0]);
+                packed = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: parts[1] }, key, parts[2]));
+            } else {
+                packed = parts[0];
+            }
+        } catch (e) {
+            throw new Error(link.locked ? 'Wrong passphrase, or the link is damaged' : 'This link is damaged or incomplete');
+        }
+
+        try {
+            return JSON.parse(new TextDecoder().decode(await pipeBytes(packed, new DecompressionStream('deflate-raw'))));
+        } catch (e) {
+            throw new Error('This link is damaged or incomplete');
+        }
+    }
+
+    return {
+        MAX_SHARE_URL_LENGTH,
+        encodeShareFragment,
+        parseShareFragment,
+        decodeShareFragment
+    };
+});
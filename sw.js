@@ -0,0 +1,80 @@
+/**
+ * TFSA Penalty Calculator Service Worker
+ *
+ * Caches the page, its scripts and the bundled libraries so the calculator
+ * installs as an app and works offline. Files are served from the cache, so
+ * bump CACHE_VERSION with every release: browsers then install the new
+ * version in the background and the page offers to reload into it.
+ */
+const CACHE_VERSION = 1;
+const CACHE_NAME = `tfsa-calculator-v${CACHE_VERSION}`;
+const FONT_CACHE_NAME = 'tfsa-calculator-fonts';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'vendor/tailwind.css',
+    'vendor/chart.umd.min.js',
+    'engine.js',
+    'csv.js',
+    'reconcile.js',
+    'share.js',
+    'i18n.js',
+    'script.js'
+];
+
+// Google Fonts are cached the first time they load; offline before that, the
+// page falls back to the system sans-serif. The stylesheet is requested with
+// crossorigin and the font files always are, so neither response is opaque.
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never caches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('tfsa-calculator-v') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the user accepts the update notice
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const origin = new URL(request.url).origin;
+
+    if (FONT_ORIGINS.includes(origin)) {
+        event.respondWith(caches.open(FONT_CACHE_NAME).then(cache => cache.match(request).then(cached => cached ||
+            fetch(request).then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            }))));
+        return;
+    }
+    if (origin !== self.location.origin) return;
+
+    // Share links only differ in the fragment, which never reaches the worker;
+    // any page navigation offline gets the calculator
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => cached ||
+            fetch(request).catch(error => {
+                if (request.mode === 'navigate') return caches.match('index.html');
+                throw error;
+            }))
+    );
+});
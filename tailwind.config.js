@@ -0,0 +1,20 @@
+/**
+ * Tailwind CSS v3 configuration for vendor/tailwind.css, the stylesheet the
+ * page loads instead of the runtime CDN. Rebuild it after changing classes in
+ * index.html or script.js:
+ *
+ *   npx tailwindcss@3 -c tailwind.config.js -o vendor/tailwind.css --minify
+ */
+module.exports = {
+    content: ['./index.html', './script.js'],
+    theme: {
+        extend: {
+            colors: {
+                cra: {
+                    red: '#D32F2F',
+                    dark: '#8B0000'
+                }
+            }
+        }
+    }
+};